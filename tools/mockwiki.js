@@ -0,0 +1,734 @@
+/*
+ * A local stand-in for a MediaWiki API server, used to test wikimash without
+ * depending on the behaviour of a live wiki.
+ *
+ * Requests to /w/api.php are either forwarded to an upstream wiki or, when a
+ * fixture is given, answered from a small fixture graph of articles. The
+ * fixture mode emulates the siteinfo, opensearch, random, links, linkshere,
+ * redirects, pageprops, langlinks, extracts, pageimages, description and
+ * parse modules, so solves are fully reproducible offline. Two servers with
+ * fixtures in different languages can be used for cross-language solves.
+ *
+ * A configurable share of requests fail the way a busy MediaWiki server fails:
+ * 5xx statuses, 429 responses with Retry-After, and maxlag or ratelimited
+ * error bodies. With a seed the same requests fail the same way every time.
+ *
+ * Usage:
+ *   node tools/mockwiki.js [--port 8080] [--upstream en.wikipedia.org]
+ *                          [--fixture tools/fixtures/graph.json]
+ *                          [--page-size 500] [--seed 1]
+ *                          [--failure-rate 0.2] [--failures 503,429,maxlag]
+ *                          [--retry-after 2]
+ *
+ * Then open wikimash with ?mw=localhost:8080
+ *
+ * (c) 2020 Lucas Towers - Licensed under MIT
+ */
+
+"use strict";
+
+var fs = require("fs");
+var http = require("http");
+var https = require("https");
+var url = require("url");
+
+/* ===========
+    CONSTANTS
+   =========== */
+
+/**
+ * Default values of the command line options.
+ * @constant {Object}
+ */
+var DEFAULT_OPTIONS = {
+  port: 8080,
+  upstream: "en.wikipedia.org",
+  fixture: "",
+  pageSize: 500,
+  seed: 0,
+  failureRate: 0,
+  failures: "500,502,503,429,maxlag,ratelimited",
+  retryAfter: 2
+};
+
+/**
+ * User agent sent to the upstream wiki, as asked for by the API etiquette.
+ * https://www.mediawiki.org/wiki/API:Etiquette
+ * @constant {string}
+ */
+var USER_AGENT = "wikimash-mockwiki/1.0 (https://github.com/luctowers/wikimash)";
+
+/**
+ * Sections of a fixture page that hold links, in the order they are rendered.
+ * Only the 'links' section is running text; the others are the boxes and
+ * lists that a player of the wiki game would not click through.
+ * @constant {string[]}
+ */
+var LINK_SECTIONS = ["infobox", "links", "seeAlso", "navbox"];
+
+/**
+ * Version reported by the siteinfo module in fixture mode.
+ * @constant {string}
+ */
+var MOCK_GENERATOR = "MediaWiki 1.35.0-mock";
+
+/**
+ * Every kind of failure that can be injected, keyed by its command line name.
+ * Each function writes a complete failed response.
+ * @constant {Object.<string,function>}
+ */
+var FAILURES = {
+  "500": function(res, query, options) {
+    sendStatus(res, 500, "Internal Server Error");
+  },
+  "502": function(res, query, options) {
+    sendStatus(res, 502, "Bad Gateway");
+  },
+  "503": function(res, query, options) {
+    res.setHeader("Retry-After", "" + options.retryAfter);
+    sendStatus(res, 503, "Service Unavailable");
+  },
+  "429": function(res, query, options) {
+    res.setHeader("Retry-After", "" + options.retryAfter);
+    sendStatus(res, 429, "Too Many Requests");
+  },
+  maxlag: function(res, query, options) {
+    res.setHeader("Retry-After", "" + options.retryAfter);
+    res.setHeader("X-Database-Lag", "" + (query.maxlag * 2 || 10));
+    sendJSON(res, query, {
+      error: {
+        code: "maxlag",
+        info: "Waiting for a database server: " + (query.maxlag * 2 || 10) + " seconds lagged.",
+        host: "localhost",
+        lag: query.maxlag * 2 || 10
+      }
+    });
+  },
+  ratelimited: function(res, query, options) {
+    sendJSON(res, query, {
+      error: {
+        code: "ratelimited",
+        info: "You've exceeded your rate limit. Please wait some time and try again."
+      }
+    });
+  }
+};
+
+
+/* ===================
+    UTILITY FUNCTIONS
+   =================== */
+
+/**
+ * Parses command line arguments of the form '--some-option value'.
+ * @param {string[]} args - The arguments after the script name.
+ * @returns {Object} The options, with dashed names converted to camel case.
+ */
+function parseArguments(args) {
+
+  var options = {};
+  Object.keys(DEFAULT_OPTIONS).forEach(function(key) {
+    options[key] = DEFAULT_OPTIONS[key];
+  });
+
+  for (var i = 0; i < args.length; i += 2) {
+    if (args[i].indexOf("--") != 0 || i + 1 >= args.length)
+      throw new Error("Invalid argument: " + args[i]);
+    var key = args[i].slice(2).replace(/-([a-z])/g, function(match, letter) {
+      return letter.toUpperCase();
+    });
+    if (!(key in DEFAULT_OPTIONS))
+      throw new Error("Unknown option: " + args[i]);
+    if (typeof DEFAULT_OPTIONS[key] == "number")
+      options[key] = parseFloat(args[i + 1]);
+    else
+      options[key] = args[i + 1];
+  }
+
+  options.failures = options.failures.split(",").filter(function(name) {
+    if (!(name in FAILURES))
+      throw new Error("Unknown failure: " + name);
+    return true;
+  });
+
+  return options;
+
+}
+
+/**
+ * Creates a seeded pseudorandom number generator (mulberry32).
+ * @param {number} seed - The seed, a seed of zero uses Math.random instead.
+ * @returns {function} A function returning numbers in [0, 1).
+ */
+function createRandom(seed) {
+
+  if (!seed)
+    return Math.random;
+
+  var state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+}
+
+/**
+ * Converts a limit parameter such as pllimit to a number.
+ * @param {string} limitParam - A number or "max".
+ * @param {number} max - The largest allowed limit.
+ * @returns {number} The limit to use.
+ */
+function parseLimit(limitParam, max) {
+
+  var limit = parseInt(limitParam, 10);
+  if (limitParam == "max" || isNaN(limit))
+    return max;
+  return Math.max(1, Math.min(limit, max));
+
+}
+
+/**
+ * Adds the headers that allow the app to make cross-origin requests.
+ * @param {http.ServerResponse} res - The response to add headers to.
+ */
+function setCORSHeaders(res) {
+
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Expose-Headers", "Retry-After, X-Database-Lag");
+
+}
+
+/**
+ * Ends a response with an error status and a plain text body.
+ * @param {http.ServerResponse} res - The response to end.
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - The status text, also used as the body.
+ */
+function sendStatus(res, status, message) {
+
+  res.statusCode = status;
+  res.statusMessage = message;
+  res.setHeader("Content-Type", "text/plain; charset=utf-8");
+  res.end(message);
+
+}
+
+/**
+ * Ends a response with a JSON body, wrapped in a JSONP callback if requested.
+ * @param {http.ServerResponse} res - The response to end.
+ * @param {Object.<string,string>} query - The parsed request query string.
+ * @param {*} data - The data to serialize.
+ */
+function sendJSON(res, query, data) {
+
+  var body = JSON.stringify(data);
+
+  if (query.callback) {
+    res.setHeader("Content-Type", "text/javascript; charset=utf-8");
+    body = query.callback + "(" + body + ")";
+  }
+  else
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+
+  res.statusCode = 200;
+  res.end(body);
+
+}
+
+
+/* ==============
+    FIXTURE WIKI
+   ============== */
+
+/**
+ * Answers API requests from a fixture graph of articles.
+ * @constructor
+ * @param {Object} fixture - The parsed fixture. Its 'pages' property maps
+ *   titles to objects with a 'links' array, its 'redirects' property maps
+ *   redirect titles to their targets and its 'lang' property is the language
+ *   code of the wiki. Pages may map language codes to titles in 'langlinks',
+ *   and may have a 'description', an 'extract' and a 'thumbnail' URL.
+ * @param {Object} options - The parsed command line options.
+ */
+function FixtureWiki(fixture, options) {
+
+  var self = this;
+
+  self.sitename = fixture.sitename || "Mock Wiki";
+  self.lang = fixture.lang || "en";
+  self.pages = fixture.pages;
+  self.redirects = fixture.redirects || {};
+  self.pageSize = options.pageSize;
+  self.random = createRandom(options.seed);
+
+  // stable page ids, in the order pages and redirects appear in the fixture
+  self.pageIDs = {};
+  Object.keys(self.pages).concat(Object.keys(self.redirects)).forEach(function(title, index) {
+    self.pageIDs[title] = index + 1;
+  });
+
+  // backlinks are derived from the links of every page and redirect
+  self.backlinks = {};
+  Object.keys(self.pages).forEach(function(title) {
+    self.linksOf(title).forEach(function(link) {
+      self.addBacklink(link, title);
+    });
+  });
+  Object.keys(self.redirects).forEach(function(title) {
+    self.addBacklink(self.redirects[title], title);
+  });
+
+}
+
+/**
+ * Records that a page links to another.
+ * @param {string} target - The title of the linked page.
+ * @param {string} source - The title of the linking page.
+ */
+FixtureWiki.prototype.addBacklink = function(target, source) {
+
+  if (!(target in this.backlinks))
+    this.backlinks[target] = [];
+  if (this.backlinks[target].indexOf(source) == -1)
+    this.backlinks[target].push(source);
+
+};
+
+/**
+ * Gets every link of a page, from all of its sections.
+ * @param {string} title - The title of a page in the fixture.
+ * @returns {string[]} The linked titles, without duplicates.
+ */
+FixtureWiki.prototype.linksOf = function(title) {
+
+  var page = this.pages[title];
+
+  var links = [];
+  LINK_SECTIONS.forEach(function(section) {
+    (page[section] || []).forEach(function(link) {
+      if (links.indexOf(link) == -1)
+        links.push(link);
+    });
+  });
+
+  return links;
+
+};
+
+/**
+ * Determines whether a title belongs to a page or a redirect.
+ * @param {string} title - The title to check.
+ * @returns {boolean} Whether the title exists.
+ */
+FixtureWiki.prototype.exists = function(title) {
+
+  return title in this.pages || title in this.redirects;
+
+};
+
+/**
+ * Answers an API request.
+ * @param {Object.<string,string>} query - The parsed request query string.
+ * @returns {*} The response data.
+ */
+FixtureWiki.prototype.handle = function(query) {
+
+  if (query.action == "opensearch")
+    return this.opensearch(query);
+  if (query.action == "parse")
+    return this.parse(query);
+
+  if (query.action != "query")
+    return this.error("badvalue", "Unrecognized value for parameter \"action\".");
+
+  if (query.meta == "siteinfo")
+    return this.siteinfo(query);
+  if (query.list == "random")
+    return this.randomPages(query);
+  if (query.prop && query.titles)
+    return this.pageProperties(query);
+
+  return this.error("badvalue", "The fixture wiki does not support this query.");
+
+};
+
+/**
+ * Creates an API error response.
+ * @param {string} code - The error code.
+ * @param {string} info - The human readable description.
+ * @returns {Object} The response data.
+ */
+FixtureWiki.prototype.error = function(code, info) {
+
+  return { error: { code: code, info: info } };
+
+};
+
+FixtureWiki.prototype.siteinfo = function(query) {
+
+  return {
+    batchcomplete: "",
+    query: {
+      general: {
+        sitename: this.sitename,
+        generator: MOCK_GENERATOR,
+        lang: this.lang,
+        mainpage: Object.keys(this.pages)[0]
+      }
+    }
+  };
+
+};
+
+FixtureWiki.prototype.opensearch = function(query) {
+
+  var self = this;
+
+  var search = (query.search || "").toLowerCase();
+  var limit = parseLimit(query.limit, 100);
+
+  var titles = [];
+  Object.keys(self.pages).concat(Object.keys(self.redirects)).forEach(function(title) {
+    if (title.toLowerCase().indexOf(search) != 0)
+      return;
+    if (query.redirects == "resolve" && title in self.redirects)
+      title = self.redirects[title];
+    if (titles.indexOf(title) == -1)
+      titles.push(title);
+  });
+
+  // exact matches first, like the real search
+  titles.sort(function(a, b) {
+    var aExact = a.toLowerCase() == search, bExact = b.toLowerCase() == search;
+    if (aExact != bExact)
+      return aExact ? -1 : 1;
+    return a < b ? -1 : (a > b ? 1 : 0);
+  });
+  titles = titles.slice(0, limit);
+
+  return [
+    query.search,
+    titles,
+    titles.map(function() { return ""; }),
+    titles.map(function(title) { return "/wiki/" + encodeURIComponent(title.replace(/ /g, "_")); })
+  ];
+
+};
+
+FixtureWiki.prototype.randomPages = function(query) {
+
+  var self = this;
+
+  var titles = Object.keys(self.pages);
+  var limit = Math.min(parseLimit(query.rnlimit, 500), titles.length);
+
+  // draw without replacement using a partial shuffle
+  for (var i = 0; i < limit; i++) {
+    var j = i + Math.floor(self.random() * (titles.length - i));
+    var temp = titles[i];
+    titles[i] = titles[j];
+    titles[j] = temp;
+  }
+
+  return {
+    "continue": { rncontinue: "" + Math.floor(self.random() * 1e9), "continue": "-||" },
+    query: {
+      random: titles.slice(0, limit).map(function(title) {
+        return { id: self.pageIDs[title], ns: 0, title: title };
+      })
+    }
+  };
+
+};
+
+/**
+ * Answers prop queries about a list of titles, such as links and linkshere.
+ * Titles are normalized and, if requested, redirects are resolved. Link lists
+ * of all pages are paged through together, like the real API does.
+ */
+FixtureWiki.prototype.pageProperties = function(query) {
+
+  var self = this;
+
+  var props = query.prop.split("|");
+  var response = { query: { pages: {} } };
+
+  var normalized = [];
+  var redirects = [];
+
+  var titles = query.titles.split("|").map(function(title) {
+    var normalizedTitle = title.replace(/_/g, " ");
+    normalizedTitle = normalizedTitle.charAt(0).toUpperCase() + normalizedTitle.slice(1);
+    if (normalizedTitle != title)
+      normalized.push({ from: title, to: normalizedTitle });
+    if ("redirects" in query && normalizedTitle in self.redirects) {
+      redirects.push({ from: normalizedTitle, to: self.redirects[normalizedTitle] });
+      normalizedTitle = self.redirects[normalizedTitle];
+    }
+    return normalizedTitle;
+  });
+
+  if (normalized.length > 0)
+    response.query.normalized = normalized;
+  if (redirects.length > 0)
+    response.query.redirects = redirects;
+
+  // every link of every requested page, in order, for continuation
+  var entries = [];
+
+  titles.forEach(function(title, index) {
+
+    if (!self.exists(title)) {
+      response.query.pages["-" + (index + 1)] = { ns: 0, title: title, missing: "" };
+      return;
+    }
+
+    var page = { pageid: self.pageIDs[title], ns: 0, title: title };
+    response.query.pages[page.pageid] = page;
+
+    if (props.indexOf("pageprops") != -1 && title in self.pages && self.pages[title].disambiguation)
+      page.pageprops = { disambiguation: "" };
+
+    if (props.indexOf("links") != -1) {
+      var links = title in self.pages ? self.linksOf(title) : [self.redirects[title]];
+      if (query.pltitles) {
+        var linkTitles = query.pltitles.split("|");
+        links = links.filter(function(link) {
+          return linkTitles.indexOf(link) != -1;
+        });
+      }
+      links.forEach(function(link) {
+        entries.push({ page: page, property: "links", value: { ns: 0, title: link } });
+      });
+    }
+
+    if (props.indexOf("redirects") != -1) {
+      var pageRedirects = Object.keys(self.redirects).filter(function(source) {
+        return self.redirects[source] == title;
+      });
+      if (pageRedirects.length > 0) {
+        page.redirects = pageRedirects.map(function(source) {
+          return { pageid: self.pageIDs[source], ns: 0, title: source };
+        });
+      }
+    }
+
+    if (props.indexOf("langlinks") != -1 && title in self.pages && self.pages[title].langlinks) {
+      var langlinks = self.pages[title].langlinks;
+      var languages = Object.keys(langlinks).filter(function(lang) {
+        return !query.lllang || lang == query.lllang;
+      });
+      if (languages.length > 0) {
+        page.langlinks = languages.map(function(lang) {
+          return { lang: lang, "*": langlinks[lang] };
+        });
+      }
+    }
+
+    var fixturePage = self.pages[title] || {};
+    if (props.indexOf("description") != -1 && fixturePage.description)
+      page.description = fixturePage.description;
+    if (props.indexOf("extracts") != -1)
+      page.extract = fixturePage.extract || "";
+    if (props.indexOf("pageimages") != -1 && fixturePage.thumbnail)
+      page.thumbnail = { source: fixturePage.thumbnail, width: 80, height: 80 };
+
+    if (props.indexOf("linkshere") != -1) {
+      var showRedirects = query.lhshow != "!redirect";
+      (self.backlinks[title] || []).forEach(function(source) {
+        var isRedirect = source in self.redirects;
+        if (isRedirect && !showRedirects)
+          return;
+        var value = { pageid: self.pageIDs[source], ns: 0, title: source };
+        if (isRedirect && (query.lhprop || "").indexOf("redirect") != -1)
+          value.redirect = "";
+        entries.push({ page: page, property: "linkshere", value: value });
+      });
+    }
+
+  });
+
+  // page through the entries using the continuation of the first link module
+  var continueProp = props.indexOf("links") != -1 ? "plcontinue" : "lhcontinue";
+  var limitParam = continueProp == "plcontinue" ? query.pllimit : query.lhlimit;
+  var limit = parseLimit(limitParam, self.pageSize);
+  var offset = parseInt(query[continueProp], 10) || 0;
+
+  entries.slice(offset, offset + limit).forEach(function(entry) {
+    if (!(entry.property in entry.page))
+      entry.page[entry.property] = [];
+    entry.page[entry.property].push(entry.value);
+  });
+
+  if (offset + limit < entries.length) {
+    response["continue"] = { "continue": "||" };
+    response["continue"][continueProp] = "" + (offset + limit);
+  }
+  else
+    response.batchcomplete = "";
+
+  return response;
+
+};
+
+
+/**
+ * Renders a page into HTML shaped like the output of the real parser, with
+ * the infobox, body, "See also" list and navbox of the page.
+ */
+FixtureWiki.prototype.parse = function(query) {
+
+  var self = this;
+
+  var title = (query.page || "").replace(/_/g, " ");
+  title = title.charAt(0).toUpperCase() + title.slice(1);
+
+  var redirects = [];
+  if ("redirects" in query && title in self.redirects) {
+    redirects.push({ from: title, to: self.redirects[title] });
+    title = self.redirects[title];
+  }
+
+  if (!(title in self.pages))
+    return self.error("missingtitle", "The page you specified doesn't exist.");
+
+  var page = self.pages[title];
+
+  function renderLinks(links) {
+    return links.map(function(link) {
+      if (!self.exists(link))
+        return '<a href="/w/index.php?title=' + encodeURIComponent(link.replace(/ /g, "_")) +
+          '&amp;action=edit&amp;redlink=1" class="new" title="' + link + ' (page does not exist)">' + link + '</a>';
+      return '<a href="/wiki/' + encodeURIComponent(link.replace(/ /g, "_")) + '" title="' + link + '">' + link + '</a>';
+    }).join(", ");
+  }
+
+  var html = '<div class="mw-parser-output">';
+  if (page.infobox)
+    html += '<table class="infobox"><tbody><tr><td>' + renderLinks(page.infobox) + '</td></tr></tbody></table>';
+  html += '<div role="note" class="hatnote">For other uses, see <a href="/wiki/Special:Search" title="Special:Search">search</a>.</div>';
+  html += '<p><b>' + title + '</b> is related to ' + renderLinks(page.links) + '.</p>';
+  if (page.seeAlso)
+    html += '<h2><span class="mw-headline" id="See_also">See also</span></h2><ul><li>' + renderLinks(page.seeAlso) + '</li></ul>';
+  if (page.navbox)
+    html += '<div role="navigation" class="navbox"><table><tbody><tr><td>' + renderLinks(page.navbox) + '</td></tr></tbody></table></div>';
+  html += '</div>';
+
+  var response = {
+    parse: {
+      title: title,
+      pageid: self.pageIDs[title],
+      redirects: redirects,
+      text: { "*": html }
+    }
+  };
+
+  var props = (query.prop || "text").split("|");
+  if (props.indexOf("links") != -1) {
+    response.parse.links = self.linksOf(title).map(function(link) {
+      var entry = { ns: 0, "*": link };
+      if (self.exists(link))
+        entry.exists = "";
+      return entry;
+    });
+  }
+  if (props.indexOf("properties") != -1)
+    response.parse.properties = page.disambiguation ? [{ name: "disambiguation", "*": "" }] : [];
+
+  return response;
+
+};
+
+
+/* ==========
+    HANDLERS
+   ========== */
+
+/**
+ * Forwards an API request to the upstream wiki and pipes back its response.
+ * @param {http.ServerResponse} res - The response to write to.
+ * @param {string} path - The request path including the query string.
+ * @param {Object} options - The parsed command line options.
+ */
+function proxyRequest(res, path, options) {
+
+  var upstreamRequest = https.get({
+    hostname: options.upstream,
+    path: path,
+    headers: { "User-Agent": USER_AGENT }
+  }, function(upstreamResponse) {
+    res.statusCode = upstreamResponse.statusCode;
+    ["content-type", "retry-after"].forEach(function(header) {
+      if (header in upstreamResponse.headers)
+        res.setHeader(header, upstreamResponse.headers[header]);
+    });
+    upstreamResponse.pipe(res);
+  });
+
+  upstreamRequest.on("error", function(error) {
+    sendStatus(res, 502, "Bad Gateway");
+  });
+
+}
+
+/**
+ * Handles a single request made to the mock server.
+ * @param {http.IncomingMessage} req - The incoming request.
+ * @param {http.ServerResponse} res - The response to write to.
+ * @param {Object} options - The parsed command line options.
+ */
+function handleRequest(req, res, options) {
+
+  var parsedURL = url.parse(req.url, true);
+  var query = parsedURL.query;
+
+  setCORSHeaders(res);
+
+  if (parsedURL.pathname != "/w/api.php") {
+    sendStatus(res, 404, "Not Found");
+    return;
+  }
+
+  // inject a failure into the configured share of requests
+  if (options.failures.length > 0 && options.failureRandom() < options.failureRate) {
+    var name = options.failures[Math.floor(options.failureRandom() * options.failures.length)];
+    console.log("injecting " + name + " into " + req.url);
+    FAILURES[name](res, query, options);
+    return;
+  }
+
+  if (options.wiki)
+    sendJSON(res, query, options.wiki.handle(query));
+  else
+    proxyRequest(res, req.url, options);
+
+}
+
+
+/* ==============
+    START SERVER
+   ============== */
+
+var options = parseArguments(process.argv.slice(2));
+
+// failures are drawn apart from random articles, so either stream repeats
+// for the same seed whatever the other one is used for
+options.failureRandom = createRandom(options.seed);
+
+if (options.fixture)
+  options.wiki = new FixtureWiki(JSON.parse(fs.readFileSync(options.fixture, "utf8")), options);
+
+http.createServer(function(req, res) {
+  handleRequest(req, res, options);
+}).listen(options.port, function() {
+  console.log("mock MediaWiki API listening on http://localhost:" + options.port + "/w/api.php");
+  if (options.wiki)
+    console.log("serving " + Object.keys(options.wiki.pages).length + " pages from " + options.fixture);
+  else
+    console.log("forwarding requests to " + options.upstream);
+  console.log("open wikimash with ?mw=localhost:" + options.port);
+});
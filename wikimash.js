@@ -24,6 +24,263 @@
  */
 var REQUEST_TIMEOUT = 5000;
 
+/**
+ * Value of the 'maxlag' parameter sent with API requests, in seconds.
+ * Requests are refused by the server while its database lag exceeds this.
+ * https://www.mediawiki.org/wiki/Manual:Maxlag_parameter
+ * @constant {number}
+ */
+var MAXLAG = 5;
+
+/**
+ * Maximum number of times a transiently failed API request is retried.
+ * @constant {number}
+ */
+var MAX_REQUEST_RETRIES = 5;
+
+/**
+ * Delay in ms before the first retry of a failed API request.
+ * Every following retry waits twice as long as the previous one.
+ * @constant {number}
+ */
+var RETRY_BASE_DELAY = 1000;
+
+/**
+ * Upper limit in ms on the delay between retries of a failed API request.
+ * A request whose server asks to wait longer isn't retried.
+ * @constant {number}
+ */
+var RETRY_MAX_DELAY = 30000;
+
+/**
+ * HTTP statuses that indicate a failure worth retrying.
+ * Zero is the status of a request that failed to reach the server at all.
+ * @constant {number[]}
+ */
+var TRANSIENT_HTTP_STATUSES = [0, 408, 429, 500, 502, 503, 504];
+
+/**
+ * MediaWiki API error codes that indicate a failure worth retrying.
+ * https://www.mediawiki.org/wiki/API:Errors_and_warnings
+ * @constant {string[]}
+ */
+var TRANSIENT_API_ERROR_CODES = ["maxlag", "ratelimited", "readonly"];
+
+/**
+ * Default time in ms that cached links remain valid (one week).
+ * @constant {number}
+ */
+var DEFAULT_LINK_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Default maximum number of articles whose links are kept in the link cache.
+ * @constant {number}
+ */
+var DEFAULT_LINK_CACHE_MAX_ENTRIES = 50000;
+
+/**
+ * Version of the link cache database, which is emptied when the format of
+ * its entries changes.
+ * @constant {number}
+ */
+var LINK_CACHE_VERSION = 2;
+
+/**
+ * Number of entries written to the link cache between enforcements of its
+ * size cap.
+ * @constant {number}
+ */
+var LINK_CACHE_TRIM_INTERVAL = 500;
+
+/**
+ * Key under which link cache settings are saved in localStorage.
+ * @constant {string}
+ */
+var LINK_CACHE_SETTINGS_KEY = "wikimash-linkcache";
+
+/**
+ * Maximum number of paths enumerated when every shortest path is requested.
+ * @constant {number}
+ */
+var MAX_ENUMERATED_PATHS = 500;
+
+/**
+ * Suggested pattern for titles of list-like articles, which have many links
+ * to similar articles but few to broader topics. It is shown as the
+ * placeholder of the title filter, which is empty by default.
+ * @constant {string}
+ */
+var DEFAULT_TITLE_FILTER = "^(Lists?|Index|Outline|Glossary) of ";
+
+/**
+ * Number of frontier articles of each tree listed when a solve runs out of
+ * its budget.
+ * @constant {number}
+ */
+var FRONTIER_REPORT_SIZE = 5;
+
+/**
+ * Most titles whose previews are requested at once, which is the most the
+ * extracts module returns in one response.
+ * @constant {number}
+ */
+var PREVIEW_BATCH_SIZE = 20;
+
+/**
+ * Width in pixels of the thumbnails of article previews.
+ * @constant {number}
+ */
+var PREVIEW_THUMBNAIL_SIZE = 80;
+
+/**
+ * Most articles of each depth of a tree that are drawn in the graph view, so
+ * the graph stays readable as the trees grow.
+ * @constant {number}
+ */
+var GRAPH_MAX_NODES_PER_LAYER = 12;
+
+/**
+ * Minimum time in ms between redraws of the graph view while a solve runs.
+ * @constant {number}
+ */
+var GRAPH_RENDER_INTERVAL = 500;
+
+/**
+ * Width of the coordinate system the graph view is drawn in.
+ * @constant {number}
+ */
+var GRAPH_WIDTH = 600;
+
+/**
+ * Height of the coordinate system the graph view is drawn in.
+ * @constant {number}
+ */
+var GRAPH_HEIGHT = 300;
+
+/**
+ * Height of the coordinate system the chart of tree growth in the progress
+ * panel is drawn in. It is as wide as the graph view.
+ * @constant {number}
+ */
+var GROWTH_CHART_HEIGHT = 80;
+
+/**
+ * Most points kept in the time series of tree growth. Every other point is
+ * dropped when there are more.
+ * @constant {number}
+ */
+var GROWTH_SERIES_LENGTH = 200;
+
+/**
+ * Least time in ms between announcements of the progress of a solve to
+ * screen readers.
+ * @constant {number}
+ */
+var ANNOUNCE_INTERVAL = 15000;
+
+/**
+ * Numbers that steer the order in which the search fetches links, which can
+ * be overridden for a solve to compare them with the benchmark.
+ * 'maxBatchTitles' and 'maxBatchParamLength' limit the titles requested
+ * together and the length of their encoded parameter. A batch that yields
+ * fewer than 'minNewTitles' new titles is put off as undesirable, and after
+ * 'maxUndesirableBatches' of them in a row all remaining batches are.
+ * @constant {Object.<string,number>}
+ */
+var DEFAULT_SEARCH_TUNING = {
+  maxBatchTitles: 50,
+  maxBatchParamLength: 1500,
+  minNewTitles: 10,
+  maxUndesirableBatches: 4
+};
+
+/**
+ * Classes of rendered article elements whose links are not part of the
+ * running text, such as navboxes, hatnotes and reference lists.
+ * @constant {string[]}
+ */
+var NON_BODY_CLASSES = [
+  "navbox", "vertical-navbox", "navbox-styles", "sidebar", "hatnote", "dablink",
+  "rellink", "metadata", "ambox", "sistersitebox", "side-box", "portal",
+  "reflist", "references", "mw-references-wrap", "reference", "mw-editsection",
+  "toc", "catlinks", "authority-control", "noprint"
+];
+
+/**
+ * Classes of infoboxes, whose links are optionally counted as body links.
+ * @constant {string[]}
+ */
+var INFOBOX_CLASSES = ["infobox"];
+
+/**
+ * Ids of article sections that end the running text. Links in these sections
+ * and everything after them are not body links.
+ * @constant {string[]}
+ */
+var END_SECTION_IDS = [
+  "See_also", "Notes", "References", "Footnotes", "Citations", "Sources",
+  "Bibliography", "Further_reading", "External_links"
+];
+
+/**
+ * Pattern that matches the href of a link to an article on the same wiki.
+ * The first capture group is the title with underscores.
+ * @constant {RegExp}
+ */
+var ARTICLE_HREF_REGEX = /^\/wiki\/([^?#]+)/;
+
+/**
+ * Pattern that matches a URL, with or without its protocol. The capture
+ * groups are the host, the path and the query string.
+ * @constant {RegExp}
+ */
+var URL_REGEX = /^(?:https?:)?(?:\/\/)?([a-z0-9.\-]+(?::[0-9]+)?)(\/[^?#]*)?(\?[^#]*)?(?:#.*)?$/i;
+
+/**
+ * Pattern that matches the mobile subdomain of a wiki hostname, as in
+ * en.m.wikipedia.org. The first capture group is the part before it.
+ * @constant {RegExp}
+ */
+var MOBILE_SUBDOMAIN_REGEX = /^([^.]+)\.m\./;
+
+/**
+ * Pattern that matches citation marks like [1] or [citation needed] in the
+ * text of rendered articles.
+ * @constant {RegExp}
+ */
+var CITATION_MARK_REGEX = /\[(\d+|[a-z]|[a-z ]+needed|note \d+)\]/g;
+
+/**
+ * Maximum number of characters of context shown on each side of a link.
+ * @constant {number}
+ */
+var MAX_CONTEXT_LENGTH = 150;
+
+/**
+ * Version of the file format written by 'RecordingTransport'.
+ * @constant {number}
+ */
+var RECORDING_FORMAT_VERSION = 1;
+
+/**
+ * Name of the file format of saved solves.
+ * @constant {string}
+ */
+var SOLVE_STATE_FORMAT = "wikimash-solve";
+
+/**
+ * Version of the file format of saved solves.
+ * @constant {number}
+ */
+var SOLVE_STATE_FORMAT_VERSION = 2;
+
+/**
+ * Query parameters that differ between identical requests, so they are left
+ * out when matching recorded requests.
+ * @constant {string[]}
+ */
+var UNRECORDED_QUERY_PARAMETERS = ["origin", "callback"];
+
 /**
  * Delay in ms for responses to user action.
  * @constant {number}
@@ -46,7 +303,21 @@ var POSITIVE_INT_REGEX = /^[0-9]+$/;
  * Pattern that matches a valid hostname.
  * @constant {RegExp}
  */
-var VALID_HOSTNAME_REGEX = /^(([a-zA-Z0-9]|[a-zA-Z0-9][a-zA-Z0-9\-]*[a-zA-Z0-9])\.)*([A-Za-z0-9]|[A-Za-z0-9][A-Za-z0-9\-]*[A-Za-z0-9])$/;
+var VALID_HOSTNAME_REGEX = /^(([a-zA-Z0-9]|[a-zA-Z0-9][a-zA-Z0-9\-]*[a-zA-Z0-9])\.)*([A-Za-z0-9]|[A-Za-z0-9][A-Za-z0-9\-]*[A-Za-z0-9])(:[0-9]+)?$/;
+
+/**
+ * Pattern that matches hostnames of local servers, which are used over http.
+ * This allows the app to be pointed at a local mock server (see tools/).
+ * @constant {RegExp}
+ */
+var LOCAL_HOSTNAME_REGEX = /^(localhost|127\.0\.0\.1)(:[0-9]+)?$/;
+
+/**
+ * Pattern that matches hostnames of Wikipedias, capturing the language code.
+ * The end article of a solve may be on the Wikipedia of another language.
+ * @constant {RegExp}
+ */
+var WIKIPEDIA_HOSTNAME_REGEX = /^([a-z\-]+)\.wikipedia\.org$/;
 
 /**
  * List of wikipedia languages to be display in the 'change wiki' menu.
@@ -105,6 +376,26 @@ var ICONS = {
  */
 var SVG_SUPPPORTED = !!(document.createElementNS && document.createElementNS('http://www.w3.org/2000/svg','svg').createSVGRect);
 
+/**
+ * The namespace that SVG elements are created in.
+ * @constant {string}
+ */
+var SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+/**
+ * Whether HTML can be parsed into an inert document, which reading the text of
+ * rendered articles needs. Internet Explorer 9 can only parse XML.
+ * @constant {boolean}
+ */
+var HTML_PARSING_SUPPORTED = (function() {
+  try {
+    return !!new DOMParser().parseFromString("<p></p>", "text/html");
+  }
+  catch (error) {
+    return false;
+  }
+})();
+
 /**
  * Whether cross-domain xhr requests are support.
  * Use by 'makeApiRequest' to determine which request technique should be used.
@@ -129,6 +420,14 @@ var query;
  */
 var mediaWikiAPI;
 
+/**
+ * API instances of wikis other than the one of 'mediaWikiAPI', such as the
+ * wiki of the end article in a cross-language solve. Keys are hostnames.
+ * This is filled by the 'getWikiAPI' function.
+ * @type {Object.<string,MediaWikiAPI>}
+ */
+var otherWikiAPIs = {};
+
 /**
  * The fetcher that is used to cache requests for random articles.
  * This is set by the 'setupAPI' function.
@@ -136,6 +435,46 @@ var mediaWikiAPI;
  */
 var randomArticleFetcher;
 
+/**
+ * The persistent cache of the links and backlinks of articles.
+ * @type {LinkCache}
+ */
+var linkCache;
+
+/**
+ * The transport that all API requests are made through.
+ * This is a 'LiveTransport' unless recording or replaying has been enabled.
+ * @type {LiveTransport|RecordingTransport|ReplayTransport}
+ */
+var transport;
+
+/**
+ * Whether solves are shown as a graph of the trees instead of a bar chart of
+ * their layers. This is switched from the solving view.
+ * @type {boolean}
+ */
+var treeGraphShown = false;
+
+/**
+ * Whether the panel of statistics about a running solve is shown.
+ * @type {boolean}
+ */
+var progressPanelShown = false;
+
+/**
+ * The number of article selects that have been created, which gives each one
+ * unique element ids.
+ * @type {number}
+ */
+var articleSelectCount = 0;
+
+/**
+ * The cancel token of the solve that is currently running, if any.
+ * This is set by the 'setupSolve' function and cancelled by 'resetPage'.
+ * @type {CancelToken}
+ */
+var activeCancelToken;
+
 /**
  * The number of JSONP requests that have been made with 'jsonpAPIRequest'.
  * This is used to create unique callback identifiers.
@@ -143,6 +482,13 @@ var randomArticleFetcher;
  */
 var jsonpRequestCount = 0;
 
+/**
+ * Approximate number of bytes received in API responses, measured as the
+ * length of their text.
+ * @type {number}
+ */
+var bytesReceived = 0;
+
 /**
  * The div that contains all the applications content.
  * All visible page content aside from the header and footer are in here.
@@ -269,8 +615,9 @@ function parseQueryString(queryString) {
     if (pair.length != 2) // pair must have exactly one '='
       return;
 
-    var key = decodeURIComponent(pair[0]);
-    var value = decodeURIComponent(pair[1]);
+    // forms and some sites encode spaces as plus signs
+    var key = decodeURIComponent(pair[0].replace(/\+/g, " "));
+    var value = decodeURIComponent(pair[1].replace(/\+/g, " "));
 
     // pair must have a key
     if (key.length == 0)
@@ -331,92 +678,475 @@ function createJSLink(text, onclick) {
 }
 
 /**
- * Sets the inner HTML of a container to an icon accounting for compatibility.
- * @param {HTMLElement} container - The 
- * @param {string} iconName - The identifier of the icon in the 'ICONS' object.
- * @param {string} className - The HTML classes to be given to the icon.
+ * Removes every row of a table. Unlike setting 'innerHTML' this also works in
+ * Internet Explorer 9, where the 'innerHTML' of tables is read-only.
+ * @param {HTMLTableElement} table - The table to empty.
  */
-function setIcon(container, iconName, className) {
+function clearTable(table) {
 
-  // determine whether icon needs to be changed
-  var iconUnchanged = (
-    container.hasAttribute("data-icon") &&
-    container.getAttribute("data-icon") == iconName
-  );
+  while (table.rows.length > 0)
+    table.deleteRow(0);
 
-  if (SVG_SUPPPORTED) {
-    if (!iconUnchanged)
-      container.innerHTML = ICONS.svg[iconName];
-    container.firstChild.className.baseVal = "icon " + className;
-  }
-  else {
-    // svg no supported
-  }
+}
 
-  // set data attribute to determine if icon must be changed when run next time.
-  container.setAttribute("data-icon", iconName);
+/**
+ * Prevents the default action of an event, also in the event model of
+ * Internet Explorer 8, which has no 'preventDefault'.
+ * @param {Event} event - The event.
+ */
+function preventDefault(event) {
+
+  if (event.preventDefault)
+    event.preventDefault();
+  else
+    event.returnValue = false;
 
 }
 
 /**
- * Makes a HTTP get API request for JSON data accounting for browser compatibility.
- * @param {string} baseUrl - The API url without a query string.
- * @param {Object.<string,string>} queries - A represention of the query string.
- * @returns {Promise<any>} Promise that resolves to the parsed JSON response.
+ * Finds the wiki and the title of the article that a URL links to, which is
+ * either in an article path or in the title parameter of an index.php URL.
+ * Mobile hostnames are turned into the hostname of their wiki, titles are
+ * decoded and fragments are left out.
+ * @param {string} text - Text that may be the URL of an article.
+ * @returns {Object|undefined} An object with the 'hostname' of the wiki and
+ *   the 'title' of the article, or undefined if the text isn't such a URL.
  */
-function apiRequest(baseUrl, queries) {
+function parseArticleURL(text) {
 
-  if (XDOMAIN_XHR_SUPPORTED)
-    return xhrAPIRequest(baseUrl, queries);
-  else // fallback to insecure JSONP for older browser like Internet Explorer 9
-    return jsonpAPIRequest(baseUrl, queries, REQUEST_TIMEOUT);
+  function decode(string) {
+    try {
+      return decodeURIComponent(string);
+    }
+    catch (error) {
+      return string;
+    }
+  }
+
+  var match = URL_REGEX.exec(text.trim());
+  if (!match)
+    return undefined;
+
+  var hostname = match[1].toLowerCase().replace(MOBILE_SUBDOMAIN_REGEX, "$1.");
+  if (!VALID_HOSTNAME_REGEX.test(hostname))
+    return undefined;
+
+  var title = undefined;
+  var pathMatch = ARTICLE_HREF_REGEX.exec(match[2] || "");
+  if (pathMatch)
+    title = decode(pathMatch[1]);
+  else if (match[3]) {
+    var titleMatch = /[?&]title=([^&]*)/.exec(match[3]);
+    if (titleMatch)
+      title = decode(titleMatch[1].replace(/\+/g, " "));
+  }
+
+  title = title && title.replace(/_/g, " ").trim();
+  if (!title)
+    return undefined;
+
+  return { hostname: hostname, title: title };
 
 }
 
 /**
- * Makes a XHR HTTP get API request for JSON data.
- * @param {string} baseUrl - The API url without a query string.
- * @param {Object.<string,string>} queries - A represention of the query string.
- * @returns {Promise<any>} Promise that resolves to the parsed JSON response.
+ * Fills an element with the preview of an article: its thumbnail, its short
+ * description and the first sentence of its introduction.
+ * @param {HTMLElement} container - The element to fill.
+ * @param {Object} preview - The preview, as returned by
+ *   'MediaWikiAPI.prototype.getPreviews'.
+ * @param {string} [title] - The title to show above the description, if the
+ *   title isn't shown next to the preview already.
  */
-function xhrAPIRequest(baseUrl, queries) {
+function fillArticlePreview(container, preview, title) {
 
-  queries.origin = "*"; // needed for CORS
-  var url = baseUrl + encodeQuerystring(queries);
+  container.innerHTML = "";
 
-  return new Promise(function(resolve, reject) {
+  if (preview.thumbnail) {
+    var thumbnail = document.createElement("img");
+    thumbnail.className = "article-preview-thumbnail";
+    thumbnail.src = preview.thumbnail;
+    thumbnail.alt = "";
+    container.appendChild(thumbnail);
+  }
 
-    var xhr = new XMLHttpRequest();
-    xhr.open("get", url);
+  var lines = [];
 
-    xhr.onload = function () {
-      if (xhr.status >= 200 && xhr.status < 300) // if status indicates success
-        resolve(JSON.parse(xhr.responseText));
-      else
-        reject(new Error(xhr.status + " " + xhr.statusText));
-    };
+  if (title) {
+    var titleElement = document.createElement("strong");
+    titleElement.innerText = title;
+    lines.push(titleElement);
+  }
 
-    xhr.onerror = function (error) {
-      reject(new Error("Unknown Error"));
-    };
+  if (preview.description) {
+    var description = document.createElement("em");
+    description.innerText = preview.description;
+    lines.push(description);
+  }
 
-    xhr.send();
+  if (preview.extract)
+    lines.push(document.createTextNode(preview.extract));
 
+  lines.forEach(function(line, index) {
+    if (index > 0)
+      container.appendChild(document.createElement("br"));
+    container.appendChild(line);
   });
 
 }
 
-
 /**
- * Makes a JSONP HTTP get API request for JSON data.
- * @param {string} baseUrl - The API url without a query string.
- * @param {Object.<string,string>} queries - A represention of the query string.
- * @returns {Promise<any>} Promise that resolves to the parsed JSON response.
+ * Formats a duration as minutes and seconds, such as 2:05.
+ * @param {number} milliseconds - The duration.
+ * @returns {string} The formatted duration.
  */
-function jsonpAPIRequest(baseUrl, queries, timeout) {
+function formatDuration(milliseconds) {
 
-  // generate the unqiue callback indentifier
-  var callbackID = 'jsonpcallback' + (++jsonpRequestCount);
+  var seconds = Math.floor(milliseconds / 1000);
+  var remainder = seconds % 60;
+  return Math.floor(seconds / 60) + ":" + (remainder < 10 ? "0" : "") + remainder;
+
+}
+
+/**
+ * Determines whether a string is a valid regular expression.
+ * @param {string} pattern - The source of the regular expression.
+ * @returns {boolean} Whether a RegExp can be created from the pattern.
+ */
+function isValidPattern(pattern) {
+
+  try {
+    new RegExp(pattern);
+    return true;
+  }
+  catch (error) {
+    return false;
+  }
+
+}
+
+/**
+ * Determines whether an element has any of the given classes.
+ * @param {HTMLElement} element - The element to check.
+ * @param {string[]} classNames - The classes to look for.
+ * @returns {boolean} Whether at least one of the classes is present.
+ */
+function hasAnyClass(element, classNames) {
+
+  var elementClasses = " " + (element.getAttribute("class") || "") + " ";
+  return classNames.some(function(className) {
+    return elementClasses.indexOf(" " + className + " ") != -1;
+  });
+
+}
+
+/**
+ * Gets the title of the article a link in rendered article HTML points to.
+ * @param {string} href - The href attribute of the link.
+ * @returns {string|undefined} The title, or undefined if the link doesn't
+ *   point to an article on the same wiki.
+ */
+function articleTitleFromHref(href) {
+
+  var match = ARTICLE_HREF_REGEX.exec(href || "");
+  if (!match)
+    return undefined;
+
+  try {
+    return decodeURIComponent(match[1]).replace(/_/g, " ");
+  }
+  catch (error) {
+    return undefined; // malformed escapes can't be an article
+  }
+
+}
+
+/**
+ * Finds the article links in the running text of a rendered article, leaving
+ * out navboxes, hatnotes, references and the sections that end the text.
+ * @param {string} html - The HTML returned by the parse API.
+ * @param {boolean} includeInfoboxes - Whether links in infoboxes count.
+ * @returns {string[]} The linked titles in order of appearance, without
+ *   duplicates. Some may belong to other namespaces.
+ */
+function extractBodyLinks(html, includeInfoboxes) {
+
+  // a parsed document is inert, unlike elements created in the page
+  var doc = new DOMParser().parseFromString(html, "text/html");
+  var root = doc.querySelector(".mw-parser-output") || doc.body;
+
+  var titles = [];
+  var ended = false;
+
+  function isEndHeading(element) {
+    if (!/^H[1-2]$/.test(element.tagName))
+      return false;
+    var headline = element.querySelector(".mw-headline");
+    var id = element.id || (headline && headline.id);
+    return END_SECTION_IDS.indexOf(id) != -1;
+  }
+
+  function visit(element) {
+
+    for (var child = element.firstElementChild; child && !ended; child = child.nextElementSibling) {
+
+      if (isEndHeading(child)) {
+        ended = true;
+        return;
+      }
+
+      if (hasAnyClass(child, NON_BODY_CLASSES))
+        continue;
+      if (!includeInfoboxes && hasAnyClass(child, INFOBOX_CLASSES))
+        continue;
+
+      if (child.tagName == "A") {
+        var title = articleTitleFromHref(child.getAttribute("href"));
+        if (title && titles.indexOf(title) == -1)
+          titles.push(title);
+      }
+
+      visit(child);
+
+    }
+
+  }
+
+  visit(root);
+
+  return titles;
+
+}
+
+/**
+ * Finds where a rendered article first links to another article.
+ * @param {string} html - The HTML returned by the parse API.
+ * @param {string[]} targetTitles - Titles the link may use, such as the
+ *   title of the linked article and the redirect the link goes through.
+ * @returns {Object|undefined} The context of the link, or undefined if the
+ *   article doesn't link to any of the titles. 'sectionTitle' and
+ *   'sectionAnchor' describe the section holding the link, and are undefined
+ *   for the lead section. 'before', 'linkText' and 'after' are the sentence
+ *   holding the link, split around the text of the link.
+ */
+function findLinkContext(html, targetTitles) {
+
+  var doc = new DOMParser().parseFromString(html, "text/html");
+  var root = doc.querySelector(".mw-parser-output") || doc.body;
+
+  var sectionTitle = undefined;
+  var sectionAnchor = undefined;
+
+  // elements are listed in document order, so headings come before their links
+  var elements = root.querySelectorAll("*");
+  for (var i = 0; i < elements.length; i++) {
+
+    var element = elements[i];
+
+    if (/^H[2-6]$/.test(element.tagName)) {
+      var headline = element.querySelector(".mw-headline") || element;
+      sectionTitle = headline.textContent.trim();
+      sectionAnchor = element.id || headline.id || undefined;
+    }
+    else if (element.tagName == "A" &&
+      targetTitles.indexOf(articleTitleFromHref(element.getAttribute("href"))) != -1) {
+      var sentence = sentenceAround(element);
+      return {
+        sectionTitle: sectionTitle,
+        sectionAnchor: sectionAnchor,
+        before: sentence.before,
+        linkText: sentence.linkText,
+        after: sentence.after
+      };
+    }
+
+  }
+
+  return undefined;
+
+}
+
+/**
+ * Gets the sentence of the text block that holds a link.
+ * @param {HTMLElement} link - The link.
+ * @returns {Object} The text of the sentence, in three parts: 'before' the
+ *   link, the 'linkText' itself, and 'after' the link.
+ */
+function sentenceAround(link) {
+
+  var block = link.parentNode;
+  while (block.parentNode && !/^(P|LI|TD|TH|DD|DT|CAPTION|FIGCAPTION|BLOCKQUOTE)$/.test(block.tagName))
+    block = block.parentNode;
+  if (!block.parentNode)
+    block = link.parentNode;
+
+  // gather the text of the block that comes before the link
+  var before = "";
+  var found = false;
+  function collect(node) {
+    for (var child = node.firstChild; child && !found; child = child.nextSibling) {
+      if (child === link)
+        found = true;
+      else if (child.nodeType == 3)
+        before += child.nodeValue;
+      else
+        collect(child);
+    }
+  }
+  collect(block);
+
+  var linkText = link.textContent;
+  var after = block.textContent.slice(before.length + linkText.length);
+
+  // trim to the sentence, and to a readable length within it
+  var sentenceStart = before.search(/[^.!?]*$/);
+  before = before.slice(sentenceStart);
+  var sentenceEnd = after.search(/[.!?](\s|$)/);
+  if (sentenceEnd != -1)
+    after = after.slice(0, sentenceEnd + 1);
+
+  before = before.replace(CITATION_MARK_REGEX, "").replace(/\s+/g, " ").replace(/^\s+/, "");
+  after = after.replace(CITATION_MARK_REGEX, "").replace(/\s+/g, " ").replace(/\s+$/, "");
+  if (before.length > MAX_CONTEXT_LENGTH)
+    before = "\u2026" + before.slice(-MAX_CONTEXT_LENGTH);
+  if (after.length > MAX_CONTEXT_LENGTH)
+    after = after.slice(0, MAX_CONTEXT_LENGTH) + "\u2026";
+
+  return { before: before, linkText: linkText, after: after };
+
+}
+
+/**
+ * Sets the inner HTML of a container to an icon accounting for compatibility.
+ * @param {HTMLElement} container - The 
+ * @param {string} iconName - The identifier of the icon in the 'ICONS' object.
+ * @param {string} className - The HTML classes to be given to the icon.
+ */
+function setIcon(container, iconName, className) {
+
+  // determine whether icon needs to be changed
+  var iconUnchanged = (
+    container.hasAttribute("data-icon") &&
+    container.getAttribute("data-icon") == iconName
+  );
+
+  if (SVG_SUPPPORTED) {
+    if (!iconUnchanged)
+      container.innerHTML = ICONS.svg[iconName];
+    container.firstChild.className.baseVal = "icon " + className;
+  }
+  else {
+    // svg no supported
+  }
+
+  // set data attribute to determine if icon must be changed when run next time.
+  container.setAttribute("data-icon", iconName);
+
+}
+
+/**
+ * Makes a HTTP get API request for JSON data through the current transport.
+ * @param {string} baseUrl - The API url without a query string.
+ * @param {Object.<string,string>} queries - A represention of the query string.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ * @returns {Promise<any>} Promise that resolves to the parsed JSON response.
+ */
+function apiRequest(baseUrl, queries, cancelToken) {
+
+  if (cancelToken && cancelToken.cancelled)
+    return instantPromise(cancelToken.createError(), true);
+
+  return transport.request(baseUrl, queries, cancelToken);
+
+}
+
+/**
+ * Makes a HTTP get API request for JSON data accounting for browser compatibility.
+ * @param {string} baseUrl - The API url without a query string.
+ * @param {Object.<string,string>} queries - A represention of the query string.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ * @returns {Promise<any>} Promise that resolves to the parsed JSON response.
+ */
+function liveAPIRequest(baseUrl, queries, cancelToken) {
+
+  if (XDOMAIN_XHR_SUPPORTED)
+    return xhrAPIRequest(baseUrl, queries, cancelToken);
+  else // fallback to insecure JSONP for older browser like Internet Explorer 9
+    return jsonpAPIRequest(baseUrl, queries, REQUEST_TIMEOUT, cancelToken);
+
+}
+
+/**
+ * Makes a XHR HTTP get API request for JSON data.
+ * @param {string} baseUrl - The API url without a query string.
+ * @param {Object.<string,string>} queries - A represention of the query string.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ * @returns {Promise<any>} Promise that resolves to the parsed JSON response.
+ */
+function xhrAPIRequest(baseUrl, queries, cancelToken) {
+
+  queries.origin = "*"; // needed for CORS
+  var url = baseUrl + encodeQuerystring(queries);
+
+  return new Promise(function(resolve, reject) {
+
+    var xhr = new XMLHttpRequest();
+    xhr.open("get", url);
+
+    // abort the request if the token is cancelled before a response arrives
+    var removeCancelHandler = function() {};
+    if (cancelToken) {
+      removeCancelHandler = cancelToken.onCancel(function() {
+        xhr.abort();
+        reject(cancelToken.createError());
+      });
+    }
+
+    xhr.onload = function () {
+      removeCancelHandler();
+      bytesReceived += xhr.responseText.length;
+      if (xhr.status >= 200 && xhr.status < 300) { // if status indicates success
+        var response = JSON.parse(xhr.responseText);
+        // mediawiki reports some errors, such as maxlag, with a success status
+        if (response && response.error)
+          reject(createAPIError(response.error, xhr.getResponseHeader("Retry-After")));
+        else
+          resolve(response);
+      }
+      else {
+        var error = new Error(xhr.status + " " + xhr.statusText);
+        error.status = xhr.status;
+        error.retryAfter = parseRetryAfter(xhr.getResponseHeader("Retry-After"));
+        reject(error);
+      }
+    };
+
+    xhr.onerror = function (error) {
+      removeCancelHandler();
+      var networkError = new Error("Unknown Error");
+      networkError.status = 0;
+      reject(networkError);
+    };
+
+    xhr.send();
+
+  });
+
+}
+
+
+/**
+ * Makes a JSONP HTTP get API request for JSON data.
+ * @param {string} baseUrl - The API url without a query string.
+ * @param {Object.<string,string>} queries - A represention of the query string.
+ * @param {number} timeout - Time in ms after which the request is abandoned.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ * @returns {Promise<any>} Promise that resolves to the parsed JSON response.
+ */
+function jsonpAPIRequest(baseUrl, queries, timeout, cancelToken) {
+
+  // generate the unqiue callback indentifier
+  var callbackID = 'jsonpcallback' + (++jsonpRequestCount);
 
   // generate the request url
   queries.callback = callbackID;
@@ -426,12 +1156,14 @@ function jsonpAPIRequest(baseUrl, queries, timeout) {
 
     var script;
     var timeoutID;
+    var removeCancelHandler = function() {};
 
     function cleanup() {
       var scriptParent = script.parentNode;
       if (scriptParent)
         scriptParent.removeChild(script);
       clearTimeout(timeoutID);
+      removeCancelHandler();
       try {
         delete window[callbackID];
       }
@@ -442,12 +1174,24 @@ function jsonpAPIRequest(baseUrl, queries, timeout) {
 
     function handleResponse(data) {
       cleanup();
-      resolve(data);
+      // a script only passes on the data, so its JSON stands in for the text
+      bytesReceived += JSON.stringify(data).length;
+      if (data && data.error)
+        reject(createAPIError(data.error));
+      else
+        resolve(data);
     }
 
     function handleTimeout() {
       cleanup();
-      reject(new Error('Request Timed Out'));
+      var error = new Error('Request Timed Out');
+      error.status = 408;
+      reject(error);
+    }
+
+    function handleCancel() {
+      cleanup();
+      reject(cancelToken.createError());
     }
 
     window[callbackID] = handleResponse;
@@ -459,1108 +1203,7882 @@ function jsonpAPIRequest(baseUrl, queries, timeout) {
     script.src = url;
     head.appendChild(script);
 
+    if (cancelToken)
+      removeCancelHandler = cancelToken.onCancel(handleCancel);
+
   });
 
 }
 
 /**
- * Returns greatest numeric value in an array.
- * @param {number[]} array - An array of numeric values.
- * @returns {number} The greatest numeric value. 
+ * Creates an error from the 'error' object of a MediaWiki API response.
+ * https://www.mediawiki.org/wiki/API:Errors_and_warnings
+ * @param {Object} apiError - The 'error' property of the response.
+ * @param {string} [retryAfterHeader] - The Retry-After header, if available.
+ * @returns {Error} An error with the API error code in its 'code' property.
  */
-function maxInArray(array) {
-  
-  if (array.length == 0)
-    return undefined;
+function createAPIError(apiError, retryAfterHeader) {
 
-  var m = array[0];
-  for (var i = 1; i < array.length; i++) {
-    m = Math.max(array[i], m);
-  }
+  var error = new Error(apiError.code + ": " + apiError.info);
+  error.code = apiError.code;
+  error.retryAfter = parseRetryAfter(retryAfterHeader);
 
-  return m;
+  // maxlag errors include the current lag, which is a sensible minimum wait
+  if (error.retryAfter === undefined && typeof apiError.lag == "number")
+    error.retryAfter = apiError.lag * 1000;
+
+  return error;
 
 }
 
 /**
- * Creates a promise that instantl resolves or rejects to a given value.
- * @param {*} value - The value to resolve or reject to.
- * @param {*} shouldReject - Whether the promise should resolve or reject
- * @returs {Promise<any>} The created promise.
+ * Converts the value of a Retry-After header to a delay in milliseconds.
+ * @param {string} header - Either a number of seconds or a HTTP date.
+ * @returns {number|undefined} The delay, or undefined if it can't be parsed.
  */
-function instantPromise(value, shouldReject) {
+function parseRetryAfter(header) {
 
-  return new Promise(function(resolve, reject) {
-    if (shouldReject)
-      reject(value);
-    else
-      resolve(value);
-  });
+  if (!header)
+    return undefined;
 
-}
+  if (POSITIVE_INT_REGEX.test(header))
+    return parseInt(header, 10) * 1000;
 
+  var date = Date.parse(header);
+  if (isNaN(date))
+    return undefined;
 
+  return Math.max(0, date - new Date().getTime());
 
-/* =========
-    CLASSES
-   ========= */
+}
 
 /**
- * Represents MediaWiki API connection to single hostname.
- * @constructor
- * @param {string} hostname - The hostname of the wiki (eg. en.wikipedia.org).
+ * Determines whether a failed API request is worth trying again.
+ * @param {Error} error - The error the request was rejected with.
+ * @returns {boolean} Whether the failure is likely to be temporary.
  */
-function MediaWikiAPI(hostname) {
+function isTransientError(error) {
 
-  this.hostname = hostname;
-  this.url = "https://" + hostname + "/w/api.php";
-  this.validated = false;
-  this.server = undefined;
+  if (error.cancelled)
+    return false;
+
+  if (error.code !== undefined)
+    return TRANSIENT_API_ERROR_CODES.indexOf(error.code) != -1;
+
+  return error.status !== undefined && TRANSIENT_HTTP_STATUSES.indexOf(error.status) != -1;
 
 }
 
 /**
- * Determines whether the api hostname belongs to a valid MediaWiki server.
- * @returns {Promise<undefined>} A promise the resolves if MediaWiki server is
- *   valid and rejects otherwise.
+ * Creates a promise that resolves after a given amount of time.
+ * @param {number} ms - The time to wait in milliseconds.
+ * @param {CancelToken} [cancelToken] - Optional token that rejects the wait.
+ * @returns {Promise<undefined>} The created promise.
  */
-MediaWikiAPI.prototype.validate = function() {
+function wait(ms, cancelToken) {
 
-  var self = this; // preserving 'this' for callbacks
+  return new Promise(function(resolve, reject) {
 
-  // if already validated resolve instantly
-  if (self.validated)
-    return instantPromise();
+    var removeCancelHandler = function() {};
 
-  // query mediawiki server using the Siteinfo API
-  // https://www.mediawiki.org/wiki/API:Siteinfo
-  var siteInfoRequest = apiRequest(
-    this.url,
-    {
-      format: "json",
-      action: "query",
-      meta: "siteinfo",
-      siprop: "general"
+    var timeoutID = setTimeout(function() {
+      removeCancelHandler();
+      resolve();
+    }, ms);
+
+    if (cancelToken) {
+      removeCancelHandler = cancelToken.onCancel(function() {
+        clearTimeout(timeoutID);
+        reject(cancelToken.createError());
+      });
     }
-  );
 
-  // handler for if api request fails
-  // error.message == "Unknown Error" usually means there was a CORS issue. 
-  function onError(error) {
-    throw new Error(error.message + " from " + self.hostname);
-  }
+  });
 
-  // handler for succesful api request
-  function onReponse(response) {
+}
 
-    // try to get generator info from the response (eg. "MediaWiki 1.35.0-wmf.1")
-    var generator;
-    try {
-      generator = "" + response.query.general.generator;
-    }
-    catch(err) {
-      throw new Error("Failed to validate " + self.hostname + " as MediaWiki server.");
+/**
+ * Creates the string that identifies a request in a recording.
+ * Parameters are sorted so the same request always produces the same key.
+ * @param {string} baseUrl - The API url without a query string.
+ * @param {Object.<string,string>} queries - A represention of the query string.
+ * @returns {string} The request key.
+ */
+function createRequestKey(baseUrl, queries) {
+
+  var sortedQueries = {};
+  Object.keys(queries).sort().forEach(function(key) {
+    if (UNRECORDED_QUERY_PARAMETERS.indexOf(key) == -1)
+      sortedQueries[key] = queries[key];
+  });
+
+  return baseUrl + encodeQuerystring(sortedQueries);
+
+}
+
+/**
+ * Offers a string to the user as a file download.
+ * @param {string} filename - The suggested name of the file.
+ * @param {string|Blob} text - The contents of the file.
+ * @param {string} mimeType - The type of the contents (eg. application/json).
+ */
+function downloadFile(filename, text, mimeType) {
+
+  var link = document.createElement("a");
+  link.download = filename;
+
+  if (window.Blob && window.URL && window.URL.createObjectURL)
+    link.href = window.URL.createObjectURL(new Blob([text], { type: mimeType }));
+  else
+    link.href = "data:" + mimeType + ";charset=utf-8," + encodeURIComponent(text);
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+}
+
+/**
+ * Reads the contents of a file chosen by the user.
+ * @param {File} file - A file from a file input.
+ * @returns {Promise<string>} A promise that resolves to the file's text.
+ */
+function readFile(file) {
+
+  return new Promise(function(resolve, reject) {
+
+    if (!window.FileReader) {
+      reject(new Error("This browser can't read files."));
+      return;
     }
 
-    // try to determine whether server meets 'MIN_MEDIAWIKI_VERSION'
-    var meetsRequiredVersion;
-    try {
-      var versionString = generator.split(" ")[1].split("-")[0];
-      meetsRequiredVersion = atLeastVersion(versionString, MIN_MEDIAWIKI_VERSION);
-      self.server = "MediaWiki " + versionString;
+    var reader = new FileReader();
+    reader.onload = function() {
+      resolve(reader.result);
+    };
+    reader.onerror = function() {
+      reject(new Error("Failed to read " + file.name));
+    };
+    reader.readAsText(file);
+
+  });
+
+}
+
+/**
+ * Compresses text with gzip, if the browser supports compression streams.
+ * @param {string} text - The text to compress.
+ * @returns {Promise<Blob|undefined>} A promise that resolves to the
+ *   compressed data, or undefined if compression is not supported.
+ */
+function gzipText(text) {
+
+  if (!window.CompressionStream || !window.Response || !Blob.prototype.stream)
+    return instantPromise(undefined);
+
+  var stream = new Blob([text]).stream().pipeThrough(new CompressionStream("gzip"));
+  return new Response(stream).blob();
+
+}
+
+/**
+ * Reads the text of a file chosen by the user, decompressing it first if it
+ * was compressed with gzip.
+ * @param {File} file - A file from a file input.
+ * @returns {Promise<string>} A promise that resolves to the file's text.
+ */
+function readPossiblyCompressedFile(file) {
+
+  if (!window.DecompressionStream || !window.Response || !file.slice)
+    return readFile(file);
+
+  // gzip data starts with the bytes 1f 8b
+  return new Response(file.slice(0, 2)).arrayBuffer().then(function(buffer) {
+
+    var bytes = new Uint8Array(buffer);
+    if (bytes.length < 2 || bytes[0] != 0x1f || bytes[1] != 0x8b)
+      return readFile(file);
+
+    var stream = file.stream().pipeThrough(new DecompressionStream("gzip"));
+    return new Response(stream).text();
+
+  });
+
+}
+
+/**
+ * Splits CSV text into rows of fields. Fields may be quoted with double
+ * quotes, inside which commas, line breaks and doubled quotes are literal.
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The rows, without any that are entirely blank.
+ */
+function parseCSV(text) {
+
+  var rows = [];
+  var row = [];
+  var field = "";
+  var quoted = false;
+
+  function endRow() {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() != "")
+      rows.push(row);
+    row = [];
+    field = "";
+  }
+
+  for (var i = 0; i < text.length; i++) {
+    var character = text[i];
+    if (quoted) {
+      if (character == "\"" && text[i + 1] == "\"") {
+        field += "\"";
+        i++;
+      }
+      else if (character == "\"")
+        quoted = false;
+      else
+        field += character;
     }
-    catch (error) {
-      throw new Error("Failed to confirm " + self.hostname + "'s MediaWiki version.");
+    else if (character == "\"")
+      quoted = true;
+    else if (character == ",") {
+      row.push(field);
+      field = "";
     }
+    else if (character == "\n")
+      endRow();
+    else if (character != "\r")
+      field += character;
+  }
+  endRow();
 
-    if (meetsRequiredVersion)
-      self.validated = true;
+  return rows;
+
+}
+
+/**
+ * Joins rows of fields into CSV text, quoting the fields that need it.
+ * @param {Array<Array<string|number>>} rows - The rows to join.
+ * @returns {string} The CSV text.
+ */
+function formatCSV(rows) {
+
+  return rows.map(function(row) {
+    return row.map(function(value) {
+      var field = value === undefined ? "" : String(value);
+      if (/[",\r\n]/.test(field))
+        field = "\"" + field.replace(/"/g, "\"\"") + "\"";
+      return field;
+    }).join(",");
+  }).join("\r\n") + "\r\n";
+
+}
+
+/**
+ * Fills in the numbers missing from a search tuning with their defaults.
+ * @param {Object.<string,number>} [tuning] - Any of the numbers in
+ *   'DEFAULT_SEARCH_TUNING'.
+ * @returns {Object.<string,number>} A complete tuning.
+ */
+function searchTuning(tuning) {
+
+  var result = {};
+  Object.keys(DEFAULT_SEARCH_TUNING).forEach(function(key) {
+    result[key] = tuning && key in tuning ? tuning[key] : DEFAULT_SEARCH_TUNING[key];
+  });
+
+  return result;
+
+}
+
+/**
+ * Creates a generator of pseudorandom numbers that always produces the same
+ * sequence for the same seed (the Park-Miller generator).
+ * @param {number} seed - A whole number.
+ * @returns {function} Returns the next number from 0 (inclusive) to 1.
+ */
+function seededRandom(seed) {
+
+  var modulus = 2147483647;
+  // the state must be between 1 and modulus - 1
+  var state = Math.abs(Math.floor(seed)) % (modulus - 1) + 1;
+
+  return function() {
+    state = state * 48271 % modulus;
+    return (state - 1) / (modulus - 1);
+  };
+
+}
+
+/**
+ * Shuffles an array in place (Fisher-Yates).
+ * @param {Array} array - The array to shuffle.
+ * @param {function} random - Returns numbers from 0 (inclusive) to 1.
+ * @returns {Array} The same array.
+ */
+function shuffleArray(array, random) {
+
+  for (var i = array.length - 1; i > 0; i--) {
+    var j = Math.floor(random() * (i + 1));
+    var temp = array[i];
+    array[i] = array[j];
+    array[j] = temp;
+  }
+
+  return array;
+
+}
+
+/**
+ * Returns the median of an array of numbers.
+ * @param {number[]} array - The numbers, in any order.
+ * @returns {number} The median, or undefined if the array is empty.
+ */
+function medianOfArray(array) {
+
+  if (array.length == 0)
+    return undefined;
+
+  var sorted = array.slice().sort(function(a, b) {
+    return a - b;
+  });
+  var middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+
+}
+
+/**
+ * Returns greatest numeric value in an array.
+ * @param {number[]} array - An array of numeric values.
+ * @returns {number} The greatest numeric value. 
+ */
+function maxInArray(array) {
+  
+  if (array.length == 0)
+    return undefined;
+
+  var m = array[0];
+  for (var i = 1; i < array.length; i++) {
+    m = Math.max(array[i], m);
+  }
+
+  return m;
+
+}
+
+/**
+ * Creates a promise that instantl resolves or rejects to a given value.
+ * @param {*} value - The value to resolve or reject to.
+ * @param {*} shouldReject - Whether the promise should resolve or reject
+ * @returs {Promise<any>} The created promise.
+ */
+function instantPromise(value, shouldReject) {
+
+  return new Promise(function(resolve, reject) {
+    if (shouldReject)
+      reject(value);
     else
-      throw new Error(
-        "MediaWiki server at " + self.hostname +
-        " must be updated (" + versionString +
-        " < " + MIN_MEDIAWIKI_VERSION + " REQUIRED)"
-      );
+      resolve(value);
+  });
+
+}
+
+
+
+/* =========
+    CLASSES
+   ========= */
+
+/**
+ * Allows a long running operation, such as a solve, to be cancelled, paused
+ * and resumed. Tokens are passed down to every function that makes requests.
+ * @constructor
+ */
+function CancelToken() {
+
+  this.cancelled = false;
+  this.paused = false;
+  this.cancelHandlers = [];
+  this.resumeHandlers = [];
+  this.retryHandlers = [];
+
+}
+
+/**
+ * Cancels the token, calling all of the registered cancel handlers.
+ */
+CancelToken.prototype.cancel = function() {
+
+  if (this.cancelled)
+    return;
+
+  this.cancelled = true;
+
+  var handlers = this.cancelHandlers;
+  this.cancelHandlers = [];
+  handlers.forEach(function(handler) {
+    handler();
+  });
+
+  // anything waiting for a resume must now be rejected
+  this.resume();
+
+};
+
+/**
+ * Pauses the token. Requests already in flight are allowed to finish.
+ */
+CancelToken.prototype.pause = function() {
+
+  if (!this.cancelled)
+    this.paused = true;
+
+};
+
+/**
+ * Resumes the token, settling all promises created by 'whenResumed'.
+ */
+CancelToken.prototype.resume = function() {
+
+  this.paused = false;
+
+  var handlers = this.resumeHandlers;
+  this.resumeHandlers = [];
+  handlers.forEach(function(handler) {
+    handler();
+  });
+
+};
+
+/**
+ * Registers a function to be called when the token is cancelled.
+ * @param {function} handler - Called once when the token is cancelled.
+ * @returns {function} A function that unregisters the handler.
+ */
+CancelToken.prototype.onCancel = function(handler) {
+
+  var self = this;
 
+  if (self.cancelled) {
+    handler();
+    return function() {};
   }
 
-  return siteInfoRequest.then(onReponse, onError);
+  self.cancelHandlers.push(handler);
+
+  return function() {
+    self.cancelHandlers = self.cancelHandlers.filter(function(h) {
+      return h !== handler;
+    });
+  };
 
 };
 
 /**
- * Searches the MediaWiki server for articles using the opensearch API.
- * https://www.mediawiki.org/wiki/API:OpenSearch
- * @param {string} query - The search query results will be related to.
- * @param {number|string} limitParam - Max results, can be a number or "max".
- * @returns {Promise<string[]>} A promise that resolves to an array of titles.
+ * Registers a function to be called before a failed request made with the
+ * token is retried.
+ * @param {function} handler - Called with an object with 'attempt', 'delay'
+ *   and 'error' properties.
+ * @returns {function} A function that unregisters the handler.
  */
-MediaWikiAPI.prototype.search = function(query, limitParam) {
+CancelToken.prototype.onRetry = function(handler) {
 
-  return apiRequest(
-    this.url,
-    {
-      action: "opensearch",
-      format: "json",
-      redirects: "resolve",
-      search: query,
-      limit: limitParam,
-      namespace: 0
-    }
-  ).then(function(response) {
-    return response[1]; // return only the titles of received articles
+  var self = this;
+
+  self.retryHandlers.push(handler);
+
+  return function() {
+    self.retryHandlers = self.retryHandlers.filter(function(h) {
+      return h !== handler;
+    });
+  };
+
+};
+
+/**
+ * Calls the registered retry handlers.
+ * @param {Object} retry - The retry, with 'attempt', 'delay' and 'error'
+ *   properties.
+ */
+CancelToken.prototype.reportRetry = function(retry) {
+
+  this.retryHandlers.forEach(function(handler) {
+    handler(retry);
   });
 
 };
 
 /**
- * Gets batches of random articles from the MediaWiki server using random API
- * https://www.mediawiki.org/wiki/API:Random
- * @param {number|string} limitParam - Max articles, can be a number or "max".
- * @param {string} continueParam - Optional param to continue a previous batch.
- * @returns {Promise<Object>} - A promise that reolves to an object with two
- *   properties: 'articles' and 'continueParam'. The 'articles' property
- *   contains an array of all the titles of the random articles. The 
- *   'continueParam' property is either null or a string which can be fed back
- *   into the corresponding argument to this function to continue a batch.
+ * Waits until the token is no longer paused.
+ * @returns {Promise<undefined>} A promise that resolves once the token is not
+ *   paused and rejects if the token is cancelled.
  */
-MediaWikiAPI.prototype.getRandomArticles = function(limitParam, continueParam) {
+CancelToken.prototype.whenResumed = function() {
+
+  var self = this;
+
+  if (self.cancelled)
+    return instantPromise(self.createError(), true);
+
+  if (!self.paused)
+    return instantPromise();
+
+  return new Promise(function(resolve, reject) {
+    self.resumeHandlers.push(function() {
+      if (self.cancelled)
+        reject(self.createError());
+      else
+        resolve();
+    });
+  });
+
+};
+
+/**
+ * Creates the error that operations reject with when the token is cancelled.
+ * @returns {Error} An error with its 'cancelled' property set to true.
+ */
+CancelToken.prototype.createError = function() {
+
+  var error = new Error("Cancelled");
+  error.cancelled = true;
+  return error;
+
+};
+
+/**
+ * Limits the requests, time and articles a solve may use. Time spent paused
+ * doesn't count against the budget.
+ * @constructor
+ * @param {Object} [limits] - Optional limits. 'maxRequests' is the number of
+ *   API requests, 'maxTime' the number of seconds and 'maxArticles' the number
+ *   of articles in the search trees. Missing or zero limits aren't enforced.
+ */
+function SolveBudget(limits) {
+
+  limits = limits || {};
+
+  this.maxRequests = limits.maxRequests || 0;
+  this.maxTime = (limits.maxTime || 0) * 1000;
+  this.maxArticles = limits.maxArticles || 0;
+
+  this.startTime = new Date().getTime();
+  this.startRequests = totalRequestCount();
+  this.pausedTime = 0;
+
+  // articles considered by the searches that already finished
+  this.articleOffset = 0;
+
+}
+
+/**
+ * Gets the number of requests made since the budget was created.
+ * @returns {number} The number of requests.
+ */
+SolveBudget.prototype.requests = function() {
+
+  return totalRequestCount() - this.startRequests;
+
+};
+
+/**
+ * Gets the time spent since the budget was created, apart from pauses.
+ * @returns {number} The time in milliseconds.
+ */
+SolveBudget.prototype.elapsed = function() {
+
+  return new Date().getTime() - this.startTime - this.pausedTime;
+
+};
+
+/**
+ * Determines which limit of the budget, if any, has been reached.
+ * @param {number} articles - The number of articles in the running search.
+ * @returns {string|undefined} Either "requests", "time" or "articles", or
+ *   undefined if the budget is not exhausted.
+ */
+SolveBudget.prototype.exhausted = function(articles) {
+
+  if (this.maxRequests && this.requests() >= this.maxRequests)
+    return "requests";
+  if (this.maxTime && this.elapsed() >= this.maxTime)
+    return "time";
+  if (this.maxArticles && this.articleOffset + articles >= this.maxArticles)
+    return "articles";
+  return undefined;
+
+};
+
+/**
+ * Waits until a token is no longer paused, leaving the pause out of the time
+ * spent.
+ * @param {CancelToken} cancelToken - The token to wait for.
+ * @returns {Promise<undefined>} The promise from 'whenResumed'.
+ */
+SolveBudget.prototype.whenResumed = function(cancelToken) {
+
+  var self = this;
+
+  if (!cancelToken.paused)
+    return cancelToken.whenResumed();
+
+  var pauseStart = new Date().getTime();
+  return cancelToken.whenResumed().then(function() {
+    self.pausedTime += new Date().getTime() - pauseStart;
+  });
+
+};
+
+/**
+ * Transport that sends requests to the live MediaWiki server.
+ * @constructor
+ */
+function LiveTransport() {
+
+  this.name = "live";
+
+  // responses from the live server are worth caching
+  this.cacheable = true;
+
+}
+
+/**
+ * Makes a request to the live server.
+ * @param {string} baseUrl - The API url without a query string.
+ * @param {Object.<string,string>} queries - A represention of the query string.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ * @returns {Promise<any>} Promise that resolves to the parsed JSON response.
+ */
+LiveTransport.prototype.request = function(baseUrl, queries, cancelToken) {
+
+  return liveAPIRequest(baseUrl, queries, cancelToken);
+
+};
+
+/**
+ * Transport that passes requests on to another transport and records every
+ * request along with its response or error, so a solve can be replayed.
+ * @constructor
+ * @param {LiveTransport} inner - The transport that makes the requests.
+ */
+function RecordingTransport(inner) {
+
+  this.name = "record";
+  this.cacheable = false; // every request must reach the recording
+  this.inner = inner;
+  this.meta = {};
+  this.entries = [];
+
+}
+
+/**
+ * Starts a new recording for a solve, discarding previous entries.
+ * @param {MediaWikiAPI} api - The API the solve is made against.
+ * @param {string} start - The title of the start article.
+ * @param {string} end - The title of the end article.
+ * @param {Object} [options] - The options of the solve, so it can be replayed.
+ */
+RecordingTransport.prototype.startSolve = function(api, start, end, options) {
+
+  this.meta = {
+    hostname: api.hostname,
+    server: api.server,
+    start: start,
+    end: end,
+    options: options || {},
+    created: new Date().toISOString()
+  };
+  this.entries = [];
+
+};
+
+/**
+ * Makes a request through the inner transport and records the outcome.
+ * Cancelled requests are not recorded since they have no outcome.
+ * @param {string} baseUrl - The API url without a query string.
+ * @param {Object.<string,string>} queries - A represention of the query string.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ * @returns {Promise<any>} Promise that resolves to the parsed JSON response.
+ */
+RecordingTransport.prototype.request = function(baseUrl, queries, cancelToken) {
+
+  var self = this;
+
+  var entry = { key: createRequestKey(baseUrl, queries) };
+
+  return self.inner.request(baseUrl, queries, cancelToken).then(function(response) {
+    entry.response = response;
+    self.entries.push(entry);
+    return response;
+  }, function(error) {
+    if (!error.cancelled) {
+      entry.error = {
+        message: error.message,
+        status: error.status,
+        code: error.code,
+        retryAfter: error.retryAfter
+      };
+      self.entries.push(entry);
+    }
+    throw error;
+  });
+
+};
+
+/**
+ * Serializes the recording.
+ * @returns {string} JSON that can be loaded by 'ReplayTransport'.
+ */
+RecordingTransport.prototype.serialize = function() {
+
+  return JSON.stringify({
+    version: RECORDING_FORMAT_VERSION,
+    meta: this.meta,
+    entries: this.entries
+  }, null, 1);
+
+};
+
+/**
+ * Transport that answers requests from a recording instead of a server.
+ * Identical requests are answered in the order they were recorded.
+ * @constructor
+ * @param {string} json - A recording serialized by 'RecordingTransport'.
+ */
+function ReplayTransport(json) {
+
+  var recording = JSON.parse(json);
+  if (!recording || recording.version !== RECORDING_FORMAT_VERSION || !recording.entries)
+    throw new Error("Unsupported recording format.");
+
+  this.name = "replay";
+  this.cacheable = false; // the cache would hide the recorded responses
+  this.meta = recording.meta || {};
+  this.entries = recording.entries;
+  this.rewind();
+
+}
+
+/**
+ * Makes every recorded response available again, so a solve can be replayed
+ * more than once.
+ */
+ReplayTransport.prototype.rewind = function() {
+
+  var self = this;
+
+  self.queues = {};
+  self.entries.forEach(function(entry) {
+    if (!(entry.key in self.queues))
+      self.queues[entry.key] = [];
+    self.queues[entry.key].push(entry);
+  });
+
+};
+
+/**
+ * Rewinds the recording when a solve starts.
+ */
+ReplayTransport.prototype.startSolve = function() {
+
+  this.rewind();
+
+};
+
+/**
+ * Answers a request with the next recorded outcome for it.
+ * @param {string} baseUrl - The API url without a query string.
+ * @param {Object.<string,string>} queries - A represention of the query string.
+ * @returns {Promise<any>} Promise that resolves to the recorded response.
+ */
+ReplayTransport.prototype.request = function(baseUrl, queries) {
+
+  var key = createRequestKey(baseUrl, queries);
+  var queue = this.queues[key];
+
+  if (!queue || queue.length == 0)
+    return instantPromise(new Error("No recorded response for " + key), true);
+
+  // the last outcome is repeated if a request is made more often than recorded
+  var entry = queue.length > 1 ? queue.shift() : queue[0];
+
+  if (entry.error) {
+    var error = new Error(entry.error.message);
+    error.status = entry.error.status;
+    error.code = entry.error.code;
+    error.retryAfter = entry.error.retryAfter;
+    return instantPromise(error, true);
+  }
+
+  // copy the response so consumers can't alter the recording
+  return instantPromise(JSON.parse(JSON.stringify(entry.response)));
+
+};
+
+/**
+ * Represents MediaWiki API connection to single hostname.
+ * @constructor
+ * @param {string} hostname - The hostname of the wiki (eg. en.wikipedia.org).
+ */
+function MediaWikiAPI(hostname) {
+
+  this.hostname = hostname;
+  this.protocol = LOCAL_HOSTNAME_REGEX.test(hostname) ? "http" : "https";
+  this.url = this.protocol + "://" + hostname + "/w/api.php";
+  this.validated = false;
+  this.server = undefined;
+
+  /**
+   * The language code of the wiki (eg. de), which is known once validated.
+   * @type {string}
+   */
+  this.language = undefined;
+
+  /**
+   * Cache of redirects discovered while fetching links.
+   * Keys are redirect titles and values are the titles they redirect to.
+   * @type {Object.<string,string>}
+   */
+  this.redirects = {};
+
+  /**
+   * Set of titles that link responses reported as non-existent (red links).
+   * @type {Object.<string,boolean>}
+   */
+  this.missingPages = {};
+
+  /**
+   * Set of titles that link responses reported as disambiguation pages.
+   * @type {Object.<string,boolean>}
+   */
+  this.disambiguationPages = {};
+
+  /**
+   * Cache of article previews. Keys are titles and values are previews, or
+   * null for titles that have nothing to preview.
+   * @type {Object.<string,Object>}
+   */
+  this.previews = {};
+
+  /**
+   * Number of requests sent to the API, counting every retry.
+   * @type {number}
+   */
+  this.requestCount = 0;
+
+}
+
+/**
+ * Makes a request to the API, retrying transient failures with exponential
+ * backoff and jitter. Retry-After delays requested by the server are honored
+ * as sent, and a request is given up on when the server asks for a longer
+ * wait than 'RETRY_MAX_DELAY'.
+ * https://www.mediawiki.org/wiki/API:Etiquette
+ * @param {Object.<string,string>} queries - A represention of the query string.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ *   Its retry handlers are called before each retry.
+ * @returns {Promise<any>} Promise that resolves to the parsed JSON response.
+ */
+MediaWikiAPI.prototype.request = function(queries, cancelToken) {
+
+  var self = this; // preserving 'this' for callbacks
+
+  queries.maxlag = MAXLAG;
+
+  function attemptRequest(attempt) {
+
+    self.requestCount += 1;
+
+    return apiRequest(self.url, queries, cancelToken).then(undefined, function(error) {
+
+      if (attempt >= MAX_REQUEST_RETRIES || !isTransientError(error))
+        throw error;
+
+      // retrying sooner than the server asked would only be refused again
+      if (error.retryAfter !== undefined && error.retryAfter > RETRY_MAX_DELAY)
+        throw error;
+
+      // exponential backoff, with half of the delay randomized
+      var delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * Math.pow(2, attempt));
+      delay = delay / 2 + Math.random() * delay / 2;
+      if (error.retryAfter !== undefined)
+        delay = Math.max(delay, error.retryAfter);
+
+      if (cancelToken)
+        cancelToken.reportRetry({ attempt: attempt + 1, delay: delay, error: error });
+
+      return wait(delay, cancelToken).then(function() {
+        return attemptRequest(attempt + 1);
+      });
+
+    });
+
+  }
+
+  return attemptRequest(0);
+
+};
+
+/**
+ * Determines whether the api hostname belongs to a valid MediaWiki server.
+ * @returns {Promise<undefined>} A promise the resolves if MediaWiki server is
+ *   valid and rejects otherwise.
+ */
+MediaWikiAPI.prototype.validate = function() {
+
+  var self = this; // preserving 'this' for callbacks
+
+  // if already validated resolve instantly
+  if (self.validated)
+    return instantPromise();
+
+  // query mediawiki server using the Siteinfo API
+  // https://www.mediawiki.org/wiki/API:Siteinfo
+  // validation doesn't retry since failures here are usually CORS related
+  var siteInfoRequest = apiRequest(
+    this.url,
+    {
+      format: "json",
+      action: "query",
+      meta: "siteinfo",
+      siprop: "general"
+    }
+  );
+
+  // handler for if api request fails
+  // error.message == "Unknown Error" usually means there was a CORS issue. 
+  function onError(error) {
+    throw new Error(error.message + " from " + self.hostname);
+  }
+
+  // handler for succesful api request
+  function onReponse(response) {
+
+    // try to get generator info from the response (eg. "MediaWiki 1.35.0-wmf.1")
+    var generator;
+    try {
+      generator = "" + response.query.general.generator;
+    }
+    catch(err) {
+      throw new Error("Failed to validate " + self.hostname + " as MediaWiki server.");
+    }
+
+    // try to determine whether server meets 'MIN_MEDIAWIKI_VERSION'
+    var meetsRequiredVersion;
+    try {
+      var versionString = generator.split(" ")[1].split("-")[0];
+      meetsRequiredVersion = atLeastVersion(versionString, MIN_MEDIAWIKI_VERSION);
+      self.server = "MediaWiki " + versionString;
+    }
+    catch (error) {
+      throw new Error("Failed to confirm " + self.hostname + "'s MediaWiki version.");
+    }
+
+    // interlanguage links are looked up by the language code of the wiki
+    self.language = response.query.general.lang;
+
+    if (meetsRequiredVersion)
+      self.validated = true;
+    else
+      throw new Error(
+        "MediaWiki server at " + self.hostname +
+        " must be updated (" + versionString +
+        " < " + MIN_MEDIAWIKI_VERSION + " REQUIRED)"
+      );
+
+  }
+
+  return siteInfoRequest.then(onReponse, onError);
+
+};
+
+/**
+ * Searches the MediaWiki server for articles using the opensearch API.
+ * https://www.mediawiki.org/wiki/API:OpenSearch
+ * @param {string} query - The search query results will be related to.
+ * @param {number|string} limitParam - Max results, can be a number or "max".
+ * @returns {Promise<string[]>} A promise that resolves to an array of titles.
+ */
+MediaWikiAPI.prototype.search = function(query, limitParam) {
+
+  return this.request(
+    {
+      action: "opensearch",
+      format: "json",
+      redirects: "resolve",
+      search: query,
+      limit: limitParam,
+      namespace: 0
+    }
+  ).then(function(response) {
+    return response[1]; // return only the titles of received articles
+  });
+
+};
+
+/**
+ * Gets batches of random articles from the MediaWiki server using random API
+ * https://www.mediawiki.org/wiki/API:Random
+ * @param {number|string} limitParam - Max articles, can be a number or "max".
+ * @param {string} continueParam - Optional param to continue a previous batch.
+ * @returns {Promise<Object>} - A promise that reolves to an object with two
+ *   properties: 'articles' and 'continueParam'. The 'articles' property
+ *   contains an array of all the titles of the random articles. The 
+ *   'continueParam' property is either null or a string which can be fed back
+ *   into the corresponding argument to this function to continue a batch.
+ */
+MediaWikiAPI.prototype.getRandomArticles = function(limitParam, continueParam) {
+
+  return this.request(
+    {
+      action: "query",
+      format: "json",
+      list: "random",
+      rnlimit: limitParam,
+      rnnamespace: 0,
+      rncontinue: continueParam
+    }
+  ).then(function(response) {
+
+    var result = {};
+
+    // map all of the rceived page titles into a single array. 
+    result.articles = response.query.random.map(function(page) {
+      return page.title;
+    });
+
+    // determine whether the batch can be continued
+    if ("continue" in response)
+      result.continueParam = response["continue"].rncontinue;
+    else
+      result.continueParam = null;
+
+    return result;
+    
+  });
+
+}
+
+/**
+ * Gets pages that are linked by given articles using the MediaWiki links API.
+ * https://www.mediawiki.org/wiki/API:Links
+ * @param {string} titlesParam - 
+ * @param {number|string} limitParam - 
+ * @param {} continueParam - 
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ */
+MediaWikiAPI.prototype.getLinks = function(titlesParam, limitParam, continueParam, cancelToken) {
+
+  return this.request(
+    {
+      action: 'query',
+      format: 'json',
+      prop: 'links|pageprops',
+      ppprop: 'disambiguation', // flags disambiguation pages for the filters
+      pllimit: limitParam,
+      plnamespace: 0,
+      plcontinue: continueParam,
+      redirects: 1, // report the links of the pages that redirects point to
+      titles: titlesParam
+    },
+    cancelToken
+  ).then(this.createLinkHandler("links", "plcontinue"));
+
+};
+
+MediaWikiAPI.prototype.getBacklinks = function(titlesParam, limitParam, continueParam, cancelToken) {
+
+  return this.request(
+    {
+      action: 'query',
+      format: 'json',
+      prop: 'linkshere|pageprops',
+      ppprop: 'disambiguation',
+      lhlimit: limitParam,
+      lhprop: 'title|redirect', // redirects are kept to follow their backlinks
+      lhnamespace: 0,
+      lhcontinue: continueParam,
+      titles: titlesParam
+    },
+    cancelToken
+  ).then(this.createLinkHandler("linkshere", "lhcontinue"));
+
+};
+
+/**
+ * Checks which of a few titles an article links to, straight from the server
+ * rather than the link cache, using the links API with 'pltitles'.
+ * https://www.mediawiki.org/wiki/API:Links
+ * @param {string} title - The title of the article.
+ * @param {string[]} linkTitles - Up to 50 titles to look for among its links.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ * @returns {Promise<Object>} A promise that resolves to an object with two
+ *   properties: 'missing' tells whether the article doesn't exist, and
+ *   'links' is an array of the given titles that it links to.
+ */
+MediaWikiAPI.prototype.getLinksTo = function(title, linkTitles, cancelToken) {
+
+  return this.request(
+    {
+      action: 'query',
+      format: 'json',
+      prop: 'links',
+      pllimit: 'max',
+      pltitles: linkTitles.join("|"),
+      redirects: 1,
+      titles: title
+    },
+    cancelToken
+  ).then(function(response) {
+
+    var result = { missing: false, links: [] };
+
+    Object.keys(response.query.pages).forEach(function(key) {
+      var page = response.query.pages[key];
+      if ("missing" in page || "invalid" in page)
+        result.missing = true;
+      (page.links || []).forEach(function(link) {
+        result.links.push(link.title);
+      });
+    });
+
+    return result;
+
+  });
+
+};
+
+/**
+ * Gets the titles of the redirects to an article using the redirects API.
+ * https://www.mediawiki.org/wiki/API:Redirects
+ * @param {string} title - The title of the article.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ * @returns {Promise<string[]>} A promise that resolves to the titles of up to
+ *   500 redirects in the article namespace.
+ */
+MediaWikiAPI.prototype.getRedirectsTo = function(title, cancelToken) {
+
+  return this.request(
+    {
+      action: 'query',
+      format: 'json',
+      prop: 'redirects',
+      rdlimit: 'max',
+      rdnamespace: 0,
+      redirects: 1,
+      titles: title
+    },
+    cancelToken
+  ).then(function(response) {
+
+    var redirects = [];
+
+    Object.keys(response.query.pages).forEach(function(key) {
+      (response.query.pages[key].redirects || []).forEach(function(redirect) {
+        redirects.push(redirect.title);
+      });
+    });
+
+    return redirects;
+
+  });
+
+};
+
+/**
+ * Gets the titles that articles have on the wiki of another language using
+ * the langlinks API. Redirects are followed and recorded.
+ * https://www.mediawiki.org/wiki/API:Langlinks
+ * @param {string[]} titles - Up to 50 titles of articles on this wiki.
+ * @param {string} language - The language code of the other wiki (eg. ja).
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ * @returns {Promise<Object.<string,string>>} A promise that resolves to an
+ *   object mapping the given titles to their titles in the other language.
+ *   Articles without an interlanguage link to it are left out.
+ */
+MediaWikiAPI.prototype.getLangLinks = function(titles, language, cancelToken) {
+
+  var self = this; // preserving 'this' for callbacks
+
+  return self.request(
+    {
+      action: 'query',
+      format: 'json',
+      prop: 'langlinks',
+      lllang: language,
+      lllimit: 'max',
+      redirects: 1,
+      titles: titles.join("|")
+    },
+    cancelToken
+  ).then(function(response) {
+
+    var requestedTitles = self.mapRequestedTitles(response);
+    var translations = {};
+
+    Object.keys(response.query.pages).forEach(function(key) {
+      var page = response.query.pages[key];
+      (page.langlinks || []).forEach(function(langlink) {
+        if (langlink.lang != language)
+          return;
+        (requestedTitles[page.title] || []).concat([page.title]).forEach(function(title) {
+          translations[title] = langlink["*"];
+        });
+      });
+    });
+
+    return translations;
+
+  });
+
+};
+
+/**
+ * Finds the title of an article as the wiki has it, normalizing its
+ * capitalization and following redirects, which are recorded.
+ * https://www.mediawiki.org/wiki/API:Query#Resolving_redirects
+ * @param {string} title - The title to look up.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ * @returns {Promise<string|undefined>} A promise that resolves to the title
+ *   of the article, or undefined if there is no article with the title.
+ */
+MediaWikiAPI.prototype.resolveTitle = function(title, cancelToken) {
+
+  var self = this; // preserving 'this' for callbacks
+
+  return self.request(
+    {
+      action: 'query',
+      format: 'json',
+      prop: 'info',
+      redirects: 1,
+      titles: title
+    },
+    cancelToken
+  ).then(function(response) {
+
+    self.mapRequestedTitles(response);
+
+    var resolvedTitle = undefined;
+    Object.keys(response.query.pages).forEach(function(key) {
+      var page = response.query.pages[key];
+      if (!("missing" in page) && !("invalid" in page) && page.ns == 0)
+        resolvedTitle = page.title;
+    });
+
+    return resolvedTitle;
+
+  });
+
+};
+
+/**
+ * Gets previews of articles: their short description, the first sentence of
+ * their introduction and a thumbnail, using the extracts, pageimages and
+ * description modules together. Previews are cached per title, so only titles
+ * that haven't been previewed before are requested, in as few requests as
+ * the extracts module allows. Redirects are followed and recorded.
+ * https://www.mediawiki.org/wiki/Extension:TextExtracts#API
+ * https://www.mediawiki.org/wiki/Extension:PageImages#API
+ * @param {string[]} titles - The titles of the articles.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ * @returns {Promise<Object.<string,Object>>} A promise that resolves to an
+ *   object mapping the given titles to their previews, which have
+ *   'description', 'extract' and 'thumbnail' properties. The description and
+ *   extract may be empty and the thumbnail, a URL, may be undefined. Titles
+ *   with nothing to preview, such as those of missing articles, are left out.
+ */
+MediaWikiAPI.prototype.getPreviews = function(titles, cancelToken) {
+
+  var self = this; // preserving 'this' for callbacks
+
+  var uncachedTitles = titles.filter(function(title, index) {
+    return !(title in self.previews) && titles.indexOf(title) == index;
+  });
+
+  var batches = [];
+  for (var i = 0; i < uncachedTitles.length; i += PREVIEW_BATCH_SIZE)
+    batches.push(uncachedTitles.slice(i, i + PREVIEW_BATCH_SIZE));
+
+  return Promise.all(batches.map(function(batch) {
+
+    return self.request(
+      {
+        action: 'query',
+        format: 'json',
+        prop: 'extracts|pageimages|description',
+        exintro: 1,
+        explaintext: 1,
+        exsentences: 1,
+        exlimit: 'max',
+        piprop: 'thumbnail',
+        pithumbsize: PREVIEW_THUMBNAIL_SIZE,
+        pilimit: 'max',
+        redirects: 1,
+        titles: batch.join("|")
+      },
+      cancelToken
+    ).then(function(response) {
+
+      var requestedTitles = self.mapRequestedTitles(response);
+
+      Object.keys(response.query.pages).forEach(function(key) {
+        var page = response.query.pages[key];
+        var preview = {
+          description: page.description || "",
+          extract: page.extract || "",
+          thumbnail: page.thumbnail ? page.thumbnail.source : undefined
+        };
+        // missing articles, and some such as disambiguation pages, have none
+        if (!preview.description && !preview.extract && !preview.thumbnail)
+          preview = null;
+        (requestedTitles[page.title] || []).concat([page.title]).forEach(function(title) {
+          self.previews[title] = preview;
+        });
+      });
+
+    });
+
+  })).then(function() {
+
+    var previews = {};
+    titles.forEach(function(title) {
+      if (self.previews[title])
+        previews[title] = self.previews[title];
+    });
+    return previews;
+
+  });
+
+};
+
+/**
+ * Renders an article with the MediaWiki parse API. Redirects are followed and
+ * recorded, as are disambiguation pages.
+ * https://www.mediawiki.org/wiki/API:Parsing_wikitext
+ * @param {string} title - The title of the article.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ * @returns {Promise<Object>} Promise that resolves to the parsed JSON response,
+ *   whose 'parse' property holds the HTML text and the links of the article.
+ */
+MediaWikiAPI.prototype.parse = function(title, cancelToken) {
+
+  var self = this; // preserving 'this' for callbacks
+
+  return self.cachedRequest(
+    "parse",
+    {
+      action: 'parse',
+      format: 'json',
+      page: title,
+      prop: 'text|links|properties',
+      redirects: 1
+    },
+    cancelToken
+  ).then(function(response) {
+
+    (response.parse.redirects || []).forEach(function(mapping) {
+      self.addRedirect(mapping.from, mapping.to);
+    });
+
+    (response.parse.properties || []).forEach(function(property) {
+      if (property.name == "disambiguation") {
+        self.disambiguationPages[title] = true;
+        self.disambiguationPages[response.parse.title] = true;
+      }
+    });
+
+    return response;
+
+  });
+
+};
+
+/**
+ * Gets the links in the running text of an article by rendering it with the
+ * MediaWiki parse API, which unlike the links API tells where links appear.
+ * https://www.mediawiki.org/wiki/API:Parsing_wikitext
+ * @param {string} title - The title of the article.
+ * @param {boolean} includeInfoboxes - Whether links in infoboxes count.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ * @returns {Promise<Object>} A promise that resolves to an object in the
+ *   format returned by 'getLinks'.
+ */
+MediaWikiAPI.prototype.getBodyLinks = function(title, includeInfoboxes, cancelToken) {
+
+  var self = this; // preserving 'this' for callbacks
+
+  return self.parse(title, cancelToken).then(function(response) {
+
+    // the links API knows which links are articles and which are red links
+    var articleLinks = {};
+    (response.parse.links || []).forEach(function(link) {
+      if (link.ns != 0)
+        return;
+      if ("exists" in link)
+        articleLinks[link["*"]] = true;
+      else
+        self.missingPages[link["*"]] = true;
+    });
+
+    var linkMap = {};
+    linkMap[title] = extractBodyLinks(response.parse.text["*"], includeInfoboxes).filter(function(link) {
+      return link in articleLinks;
+    });
+
+    return { linkMap: linkMap, continueParam: undefined };
+
+  }, function(error) {
+
+    if (error.code != "missingtitle")
+      throw error;
+
+    self.missingPages[title] = true;
+    return { linkMap: {}, continueParam: undefined };
+
+  });
+
+};
+
+/**
+ * Makes a request about a single page, answering it from the persistent link
+ * cache if possible and storing the response otherwise. Raw responses are
+ * cached so redirects and missing pages are rediscovered from cached
+ * responses too.
+ * @param {string} shape - What the response holds, such as "parse" for a
+ *   rendered article, as described for 'LinkCache.createKey'.
+ * @param {Object.<string,string>} queries - A represention of the query
+ *   string, whose 'page' or 'titles' is the title of the page.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the request.
+ * @returns {Promise<any>} Promise that resolves to the parsed JSON response.
+ */
+MediaWikiAPI.prototype.cachedRequest = function(shape, queries, cancelToken) {
+
+  var self = this; // preserving 'this' for callbacks
+
+  // recorded and replayed solves must see every request
+  if (!transport.cacheable)
+    return self.request(queries, cancelToken);
+
+  var key = LinkCache.createKey(self.hostname, shape, queries.page || queries.titles);
+
+  return linkCache.get([key]).then(function(values) {
+
+    if (key in values)
+      return values[key];
+
+    return self.request(queries, cancelToken).then(function(response) {
+      var newValues = {};
+      newValues[key] = response;
+      linkCache.put(self.hostname, newValues);
+      return response;
+    });
+
+  });
+
+};
+
+/**
+ * Gets the links of articles from the persistent link cache, along with what
+ * was learned about the articles and their links when they were fetched,
+ * which is added to the redirect, missing page and disambiguation caches.
+ * @param {string} shape - What the links were fetched with, as given to
+ *   'cacheLinks'.
+ * @param {string[]} titles - The titles of the articles.
+ * @returns {Promise<Object.<string,string[]>>} A promise that resolves to
+ *   the links of each article that is cached.
+ */
+MediaWikiAPI.prototype.getCachedLinks = function(shape, titles) {
+
+  var self = this; // preserving 'this' for callbacks
+
+  // recorded and replayed solves must see every request
+  if (!transport.cacheable)
+    return instantPromise({});
+
+  var keys = titles.map(function(title) {
+    return LinkCache.createKey(self.hostname, shape, title);
+  });
+
+  return linkCache.get(keys).then(function(values) {
+
+    var linkMap = {};
+    titles.forEach(function(title, index) {
+      var entry = values[keys[index]];
+      if (!entry)
+        return;
+      self.restoreCaches(entry.caches);
+      linkMap[title] = entry.links;
+    });
+    return linkMap;
+
+  });
+
+};
+
+/**
+ * Stores the complete links of articles in the persistent link cache, each
+ * article on its own so that it can be found again whatever batch it is in.
+ * What is known about the articles and their links is stored with them.
+ * @param {string} shape - What the links were fetched with, as described for
+ *   'LinkCache.createKey'.
+ * @param {Object.<string,string[]>} linkMap - The links of each article.
+ * @returns {Promise<undefined>} A promise that resolves once stored.
+ */
+MediaWikiAPI.prototype.cacheLinks = function(shape, linkMap) {
+
+  var self = this; // preserving 'this' for callbacks
+
+  if (!transport.cacheable)
+    return instantPromise();
+
+  var values = {};
+  Object.keys(linkMap).forEach(function(title) {
+
+    var caches = { redirects: {}, missingPages: {}, disambiguationPages: {} };
+    [title].concat(linkMap[title]).forEach(function(pageTitle) {
+      ["redirects", "missingPages", "disambiguationPages"].forEach(function(property) {
+        if (pageTitle in self[property])
+          caches[property][pageTitle] = self[property][pageTitle];
+      });
+    });
+
+    values[LinkCache.createKey(self.hostname, shape, title)] = {
+      links: linkMap[title],
+      caches: caches
+    };
+
+  });
+
+  return linkCache.put(self.hostname, values);
+
+};
+
+/**
+ * Creates a function that converts link API responses to a simpler format.
+ * Redirects and normalizations reported by the response are added to the
+ * redirect cache and mapped back so results are keyed by the titles that
+ * were actually requested.
+ * @param {string} linkProperty - The page property holding the links.
+ * @param {string} continueProp - The name of the continuation parameter.
+ * @returns {function} The response handler.
+ */
+MediaWikiAPI.prototype.createLinkHandler = function(linkProperty, continueProp) {
+
+  var self = this; // preserving 'this' for callbacks
+
+  return function(response) {
+
+    var result = {};
+
+    var requestedTitles = self.mapRequestedTitles(response);
+
+    var parentPages = [];
+    Object.keys(response.query.pages).forEach(function(key) {
+      parentPages.push(response.query.pages[key]);
+    });
+
+    result.linkMap = {};
+    parentPages.forEach(function(parentPage) {
+
+      // requested pages that don't exist are reported with a 'missing' flag
+      if ("missing" in parentPage || "invalid" in parentPage) {
+        var missingTitles = requestedTitles[parentPage.title] || [parentPage.title];
+        missingTitles.forEach(function(missingTitle) {
+          self.missingPages[missingTitle] = true;
+        });
+        return;
+      }
+
+      var parentTitles = requestedTitles[parentPage.title] || [parentPage.title];
+
+      if ("pageprops" in parentPage && "disambiguation" in parentPage.pageprops) {
+        self.disambiguationPages[parentPage.title] = true;
+        parentTitles.forEach(function(parentTitle) {
+          self.disambiguationPages[parentTitle] = true;
+        });
+      }
+
+      if (!(linkProperty in parentPage))
+        return;
+      var childPages = parentPage[linkProperty];
+
+      var childTitles = [];
+      childPages.forEach(function(childPage) {
+        // backlinks flagged as redirects point to the parent page
+        if ("redirect" in childPage)
+          self.addRedirect(childPage.title, parentPage.title);
+        childTitles.push(childPage.title);
+      });
+
+      parentTitles.forEach(function(parentTitle) {
+        result.linkMap[parentTitle] = childTitles;
+      });
+  
+    });
+
+    if ("continue" in response)
+      result.continueParam = response["continue"][continueProp];
+    else
+      result.continueParam = undefined;
+
+    return result;
+
+  };
+
+};
+
+/**
+ * Maps the titles of the pages in a query response back to the titles that
+ * were requested, following the normalizations and redirects it reports.
+ * The redirects are added to the redirect cache.
+ * @param {Object} response - The parsed JSON response of a query.
+ * @returns {Object.<string,string[]>} The requested titles of each page title
+ *   that differs from them.
+ */
+MediaWikiAPI.prototype.mapRequestedTitles = function(response) {
+
+  var self = this; // preserving 'this' for callbacks
+
+  var requestedTitles = {};
+  ["normalized", "redirects"].forEach(function(property) {
+    if (!(property in response.query))
+      return;
+    response.query[property].forEach(function(mapping) {
+      if (property == "redirects")
+        self.addRedirect(mapping.from, mapping.to);
+      var fromTitles = requestedTitles[mapping.from] || [mapping.from];
+      requestedTitles[mapping.to] = (requestedTitles[mapping.to] || []).concat(fromTitles);
+    });
+  });
+
+  return requestedTitles;
+
+};
+
+/**
+ * Determines whether a title is known to belong to a non-existent page.
+ * @param {string} title - The title to check.
+ * @returns {boolean} Whether a previous response reported the page missing.
+ */
+MediaWikiAPI.prototype.isMissing = function(title) {
+
+  return title in this.missingPages;
+
+};
+
+/**
+ * Captures what has been learned about pages while fetching links, which the
+ * search trees of a saved solve depend on.
+ * @returns {Object} The redirect, missing page and disambiguation caches.
+ */
+MediaWikiAPI.prototype.serializeCaches = function() {
+
+  return {
+    redirects: this.redirects,
+    missingPages: this.missingPages,
+    disambiguationPages: this.disambiguationPages
+  };
+
+};
+
+/**
+ * Adds caches captured by 'serializeCaches' to the caches of this API.
+ * @param {Object} data - The captured caches.
+ */
+MediaWikiAPI.prototype.restoreCaches = function(data) {
+
+  var self = this;
+
+  ["redirects", "missingPages", "disambiguationPages"].forEach(function(property) {
+    var cache = data[property] || {};
+    Object.keys(cache).forEach(function(key) {
+      self[property][key] = cache[key];
+    });
+  });
+
+};
+
+/**
+ * Determines whether a title is known to belong to a disambiguation page.
+ * @param {string} title - The title to check, redirect or not.
+ * @returns {boolean} Whether a previous response flagged the page.
+ */
+MediaWikiAPI.prototype.isDisambiguation = function(title) {
+
+  return title in this.disambiguationPages ||
+    this.resolveRedirect(title) in this.disambiguationPages;
+
+};
+
+/**
+ * Records that one title redirects to another.
+ * @param {string} from - The title of the redirect.
+ * @param {string} to - The title of the page the redirect points to.
+ */
+MediaWikiAPI.prototype.addRedirect = function(from, to) {
+
+  if (from != to)
+    this.redirects[from] = to;
+
+};
+
+/**
+ * Follows cached redirects to find the canonical title of a page.
+ * @param {string} title - Any title, redirect or not.
+ * @returns {string} The title the redirect ultimately points to, or the given
+ *   title if it is not a known redirect.
+ */
+MediaWikiAPI.prototype.resolveRedirect = function(title) {
+
+  // limit the hops taken in case of a redirect loop
+  for (var hops = 0; hops < 10 && title in this.redirects; hops++)
+    title = this.redirects[title];
+
+  return title;
+
+};
+
+MediaWikiAPI.prototype.buildArticleURL = function(article) {
+
+  return this.protocol + "://" + this.hostname + "/wiki/" + encodeURIComponent(article.replace(/ /g, "_"));
+
+}
+
+/**
+ * Persistent cache stored in IndexedDB of what requests found out about
+ * single articles, such as their links or their rendered text.
+ * All methods fail silently, so a missing or broken database only means that
+ * every request goes to the server.
+ * @constructor
+ * @param {string} databaseName - The name of the IndexedDB database.
+ */
+function LinkCache(databaseName) {
+
+  this.databaseName = databaseName;
+  this.databasePromise = undefined;
+  this.writeCount = 0;
+
+  this.settings = {
+    enabled: true,
+    ttl: DEFAULT_LINK_CACHE_TTL,
+    maxEntries: DEFAULT_LINK_CACHE_MAX_ENTRIES
+  };
+  this.loadSettings();
+
+}
+
+/**
+ * Creates the key an entry is stored under.
+ * @param {string} hostname - The hostname of the wiki.
+ * @param {string} shape - What the entry was fetched with, such as the links
+ *   of a 'LinkFetcher' or a rendered article, so that different kinds of
+ *   entries are never mistaken for each other.
+ * @param {string} title - The title of the article the entry is about.
+ * @returns {string} The cache key.
+ */
+LinkCache.createKey = function(hostname, shape, title) {
+
+  return [hostname, shape, title].join("\n");
+
+};
+
+/**
+ * Determines whether IndexedDB is available in this browser.
+ * @returns {boolean} Whether the cache can be used at all.
+ */
+LinkCache.prototype.supported = function() {
+
+  return !!window.indexedDB;
+
+};
+
+/**
+ * Loads settings saved by 'saveSettings', keeping defaults for missing ones.
+ */
+LinkCache.prototype.loadSettings = function() {
+
+  var self = this;
+
+  try {
+    var saved = JSON.parse(window.localStorage.getItem(LINK_CACHE_SETTINGS_KEY));
+    if (saved)
+      Object.keys(self.settings).forEach(function(key) {
+        if (key in saved)
+          self.settings[key] = saved[key];
+      });
+  }
+  catch (error) {
+    // localStorage is unavailable or the settings are corrupt, keep defaults
+  }
+
+};
+
+/**
+ * Changes the cache settings and saves them to localStorage.
+ * @param {Object} settings - Any of 'enabled', 'ttl' and 'maxEntries'.
+ */
+LinkCache.prototype.saveSettings = function(settings) {
+
+  var self = this;
+
+  Object.keys(settings).forEach(function(key) {
+    self.settings[key] = settings[key];
+  });
+
+  try {
+    window.localStorage.setItem(LINK_CACHE_SETTINGS_KEY, JSON.stringify(self.settings));
+  }
+  catch (error) {
+    // settings will only last for this page load
+  }
+
+};
+
+/**
+ * Opens the database, creating its object store on first use.
+ * @returns {Promise<IDBDatabase>} A promise that resolves to the database.
+ */
+LinkCache.prototype.open = function() {
+
+  var self = this;
+
+  if (self.databasePromise)
+    return self.databasePromise;
+
+  self.databasePromise = new Promise(function(resolve, reject) {
+
+    if (!self.supported()) {
+      reject(new Error("IndexedDB is not supported"));
+      return;
+    }
+
+    var request = window.indexedDB.open(self.databaseName, LINK_CACHE_VERSION);
+
+    // entries in an older format are dropped along with their store
+    request.onupgradeneeded = function() {
+      var database = request.result;
+      if (database.objectStoreNames.contains("entries"))
+        database.deleteObjectStore("entries");
+      if (database.objectStoreNames.contains("responses"))
+        database.deleteObjectStore("responses");
+      var store = database.createObjectStore("entries", { keyPath: "key" });
+      store.createIndex("timestamp", "timestamp");
+    };
+
+    request.onsuccess = function() {
+      resolve(request.result);
+    };
+
+    request.onerror = function() {
+      reject(request.error);
+    };
+
+  });
+
+  return self.databasePromise;
+
+};
+
+/**
+ * Runs a function against the entry store inside a transaction.
+ * @param {string} mode - Either "readonly" or "readwrite".
+ * @param {function} operation - Called with the store and a 'done' function
+ *   that the operation must call with its result.
+ * @returns {Promise<any>} A promise that resolves to the operation's result.
+ */
+LinkCache.prototype.transaction = function(mode, operation) {
+
+  return this.open().then(function(database) {
+    return new Promise(function(resolve, reject) {
+      var transaction = database.transaction("entries", mode);
+      var result;
+      transaction.oncomplete = function() {
+        resolve(result);
+      };
+      transaction.onerror = function() {
+        reject(transaction.error);
+      };
+      operation(transaction.objectStore("entries"), function(value) {
+        result = value;
+      });
+    });
+  });
+
+};
+
+/**
+ * Gets cached entries.
+ * @param {string[]} keys - Keys created by 'LinkCache.createKey'.
+ * @returns {Promise<Object.<string,*>>} A promise that resolves to the value
+ *   of each key whose entry is cached and hasn't expired. Nothing is cached
+ *   while the cache is disabled.
+ */
+LinkCache.prototype.get = function(keys) {
+
+  var self = this;
+
+  if (!self.settings.enabled)
+    return instantPromise({});
+
+  var expiry = new Date().getTime() - self.settings.ttl;
+  var values = {};
+
+  return self.transaction("readonly", function(store, done) {
+    keys.forEach(function(key) {
+      var request = store.get(key);
+      request.onsuccess = function() {
+        var record = request.result;
+        if (record && record.timestamp >= expiry)
+          values[key] = record.value;
+      };
+    });
+  }).then(function() {
+    return values;
+  }, function() {
+    return {};
+  });
+
+};
+
+/**
+ * Stores entries, occasionally evicting the oldest entries to keep the cache
+ * within its size cap.
+ * @param {string} hostname - The hostname of the wiki, used for statistics.
+ * @param {Object.<string,*>} values - The value to store under each key
+ *   created by 'LinkCache.createKey', which must be cloneable.
+ * @returns {Promise<undefined>} A promise that resolves once stored.
+ */
+LinkCache.prototype.put = function(hostname, values) {
+
+  var self = this;
+
+  var keys = Object.keys(values);
+  if (!self.settings.enabled || keys.length == 0)
+    return instantPromise();
+
+  var timestamp = new Date().getTime();
+
+  return self.transaction("readwrite", function(store, done) {
+    keys.forEach(function(key) {
+      store.put({
+        key: key,
+        hostname: hostname,
+        timestamp: timestamp,
+        value: values[key]
+      });
+    });
+  }).then(function() {
+    var trimDue = Math.floor((self.writeCount + keys.length) / LINK_CACHE_TRIM_INTERVAL) >
+      Math.floor(self.writeCount / LINK_CACHE_TRIM_INTERVAL);
+    self.writeCount += keys.length;
+    if (trimDue)
+      return self.trim();
+  }).then(undefined, function() {
+    // a failed write only means a future cache miss
+  });
+
+};
+
+/**
+ * Deletes expired entries and the oldest entries above the size cap.
+ * @returns {Promise<undefined>} A promise that resolves once trimmed.
+ */
+LinkCache.prototype.trim = function() {
+
+  var self = this;
+
+  var expiry = new Date().getTime() - self.settings.ttl;
+
+  return self.transaction("readwrite", function(store, done) {
+    var countRequest = store.count();
+    countRequest.onsuccess = function() {
+      var excess = countRequest.result - self.settings.maxEntries;
+      // the timestamp index iterates from the oldest entry
+      var cursorRequest = store.index("timestamp").openCursor();
+      cursorRequest.onsuccess = function() {
+        var cursor = cursorRequest.result;
+        if (!cursor)
+          return;
+        if (excess <= 0 && cursor.value.timestamp >= expiry)
+          return;
+        cursor["delete"]();
+        excess -= 1;
+        cursor["continue"]();
+      };
+    };
+  });
+
+};
+
+/**
+ * Summarizes the contents of the cache.
+ * @returns {Promise<Object>} A promise that resolves to an object with the
+ *   properties 'count', 'size' (approximate bytes), 'expired' and 'hostnames',
+ *   which maps each hostname to its number of entries.
+ */
+LinkCache.prototype.stats = function() {
+
+  var self = this;
+
+  var expiry = new Date().getTime() - self.settings.ttl;
+  var stats = { count: 0, size: 0, expired: 0, hostnames: {} };
+
+  return self.transaction("readonly", function(store, done) {
+    var cursorRequest = store.openCursor();
+    cursorRequest.onsuccess = function() {
+      var cursor = cursorRequest.result;
+      if (!cursor) {
+        done(stats);
+        return;
+      }
+      var record = cursor.value;
+      stats.count += 1;
+      stats.size += JSON.stringify(record.value).length;
+      if (record.timestamp < expiry)
+        stats.expired += 1;
+      stats.hostnames[record.hostname] = (stats.hostnames[record.hostname] || 0) + 1;
+      cursor["continue"]();
+    };
+  });
+
+};
+
+/**
+ * Deletes cached entries.
+ * @param {string} [hostname] - Only delete entries of this wiki if given.
+ * @returns {Promise<undefined>} A promise that resolves once deleted.
+ */
+LinkCache.prototype.clear = function(hostname) {
+
+  return this.transaction("readwrite", function(store, done) {
+    if (!hostname) {
+      store.clear();
+      return;
+    }
+    var cursorRequest = store.openCursor();
+    cursorRequest.onsuccess = function() {
+      var cursor = cursorRequest.result;
+      if (!cursor)
+        return;
+      if (cursor.value.hostname == hostname)
+        cursor["delete"]();
+      cursor["continue"]();
+    };
+  });
+
+};
+
+/**
+ * @constructor
+ * @param {MediaWikiAPI} [api] - The API of the wiki to fetch articles from,
+ *   which defaults to 'mediaWikiAPI'.
+ */
+function RandomArticleFetcher(api) {
+
+  this.api = api || mediaWikiAPI;
+  this.articles = [];
+  this.newArticlesPromise = undefined;
+  this.continueParam = undefined;
+
+}
+
+RandomArticleFetcher.prototype.getArticles = function(count) {
+
+  var self = this;
+
+  if (self.newArticlesPromise !== undefined) {
+    return self.newArticlesPromise.then(function() {
+      return self.getArticles(count);
+    });
+  }
+
+  if (self.articles.length >= count) {
+    var temp = self.articles.slice(0, count);
+    self.articles = self.articles.slice(count);
+    return instantPromise(temp);
+  }
+  else if (self.articles.length > 0) {
+    var temp = self.articles;
+    self.articles = [];
+    return self.getArticles(count - temp.length).then(function(newArticles) {
+      return temp.concat(newArticles);
+    });
+  }
+
+  self.newArticlesPromise = self.api.getRandomArticles("max", self.continueParam);
+
+  return self.newArticlesPromise.then(function(result) {
+      self.newArticlesPromise = undefined;
+      self.continueParam = result.continueParam;
+      self.articles = result.articles;
+      return self.getArticles(count);
+  });
+
+};
+
+RandomArticleFetcher.prototype.getArticle = function() {
+
+  return this.getArticles(1).then(function(articles) {
+    return articles[0];
+  })
+
+};
+
+/**
+ * @constructor
+ * @param {string} direction - Either "forward" or "backward".
+ * @param {Object} [options] - Optional settings. 'maxLinks' limits the links
+ *   of an article: the links of articles with more are withheld, and the
+ *   articles are reported as hubs instead. 'exempt' is an array of titles
+ *   whose links are never withheld. When 'bodyOnly' is true forward links
+ *   are limited to those in the running text of articles, which includes
+ *   infoboxes if 'includeInfoboxes' is true. 'hostname' is the wiki to fetch
+ *   links from, which defaults to the wiki of 'mediaWikiAPI'. 'tuning'
+ *   overrides the batch limits of 'DEFAULT_SEARCH_TUNING'.
+ */
+function LinkFetcher(direction, options) {
+
+  var self;
+
+  options = options || {};
+
+  this.direction = direction;
+  this.options = options;
+  this.api = getWikiAPI(options.hostname);
+  this.maxLinks = options.maxLinks || 0;
+  this.exempt = options.exempt || [];
+  this.bodyOnly = !!options.bodyOnly && direction == "forward";
+  this.includeInfoboxes = !!options.includeInfoboxes;
+  this.tuning = searchTuning(options.tuning);
+  this.linkPromise = undefined;
+
+  // titles of articles that have more links than 'maxLinks'
+  this.hubs = {};
+  
+  this.batchIndex = 0;
+  this.lastBatchIndex = undefined;
+  this.batches = [];
+
+  this.undesirableBatchStack = [];
+
+  this.onEvent = undefined;
+
+}
+
+/**
+ * Reports something the fetcher did to the function in 'onEvent', if any.
+ * @param {string} type - The type of the event.
+ * @param {Object} [details] - Properties describing the event.
+ */
+LinkFetcher.prototype.emit = function(type, details) {
+
+  if (!this.onEvent)
+    return;
+
+  var event = details || {};
+  event.type = type;
+  event.direction = this.direction;
+  event.time = new Date().getTime();
+  this.onEvent(event);
+
+};
+
+LinkFetcher.prototype.addArticles = function(articles) {
+
+  while (articles.length != 0) {
+    var batch = {};
+    batch.articles = [articles[0]];
+    batch.titlesParam = "" + articles[0];
+    // articles are rendered one at a time
+    var titleCount = this.bodyOnly ? 1 : Math.min(this.tuning.maxBatchTitles, articles.length);
+    var i;
+    var encodedParamLength = encodeURIComponent(batch.titlesParam).length;
+    for (i = 1; i < titleCount && encodedParamLength < this.tuning.maxBatchParamLength; i++) {
+      batch.articles.push(articles[i]);
+      batch.titlesParam += "|" + articles[i];
+      encodedParamLength += encodeURIComponent("|" + articles[i]).length;
+    };
+    articles = articles.slice(i);
+    batch.continueParam = undefined;
+    batch.heldLinks = {};
+    // links are cached once the batch is complete
+    batch.fetchedLinks = {};
+    batch.cacheChecked = false;
+    this.batches.push(batch);
+  }
+
+};
+
+LinkFetcher.prototype.fetch = function(cancelToken) {
+
+  var self = this;
+
+  if (self.complete())
+    return instantPromise({});
+
+  if (self.linkPromise)
+    return self.linkPromise.then(function() {
+      return self.fetch(cancelToken);
+    });
+
+  var currentBatch;
+  if (self.batches.length > 0) {
+    self.batchIndex = (self.batchIndex+1) % self.batches.length;
+    currentBatch = self.batches[self.batchIndex];
+  }
+  else {
+    currentBatch = self.undesirableBatchStack.pop();
+    self.batches.push(currentBatch);
+    self.batchIndex = 0;
+  }
+
+  // articles whose links are cached are taken out of a batch before its
+  // first request, and the links of the others are cached once complete
+  var cachePromise;
+  if (currentBatch.continueParam === undefined && !currentBatch.cacheChecked)
+    cachePromise = self.api.getCachedLinks(self.cacheShape(), currentBatch.articles);
+  else
+    cachePromise = instantPromise({});
+
+  self.linkPromise = cachePromise.then(function(cachedLinkMap) {
+
+    var allArticles = currentBatch.articles;
+    var cachedArticles = Object.keys(cachedLinkMap);
+    if (cachedArticles.length > 0) {
+      currentBatch.articles = allArticles.filter(function(article) {
+        return !(article in cachedLinkMap);
+      });
+      currentBatch.titlesParam = currentBatch.articles.join("|");
+    }
+    currentBatch.cacheChecked = true;
+
+    if (currentBatch.articles.length == 0)
+      return { linkMap: cachedLinkMap, continueParam: undefined };
+
+    return self.request(currentBatch, cancelToken).then(function(response) {
+
+      Object.keys(response.linkMap).forEach(function(article) {
+        currentBatch.fetchedLinks[article] = (currentBatch.fetchedLinks[article] || []).concat(response.linkMap[article]);
+      });
+      if (!response.continueParam) {
+        currentBatch.articles.forEach(function(article) {
+          if (!(article in currentBatch.fetchedLinks))
+            currentBatch.fetchedLinks[article] = [];
+        });
+        self.api.cacheLinks(self.cacheShape(), currentBatch.fetchedLinks);
+      }
+
+      cachedArticles.forEach(function(article) {
+        response.linkMap[article] = cachedLinkMap[article];
+      });
+      return response;
+
+    }, function(error) {
+
+      // the cached links would be lost, so they are looked up again next time
+      if (cachedArticles.length > 0) {
+        currentBatch.articles = allArticles;
+        currentBatch.titlesParam = allArticles.join("|");
+      }
+      currentBatch.cacheChecked = false;
+      throw error;
+
+    });
+
+  });
+
+  // a failed request leaves the batch untouched so it can be fetched again
+  function onError(error) {
+    self.linkPromise = undefined;
+    throw error;
+  }
+
+  return self.linkPromise.then(function(response) {
+
+    self.linkPromise = undefined;
+
+    var linkMap = response.linkMap;
+    if (self.maxLinks)
+      linkMap = self.holdLinks(currentBatch, linkMap, !response.continueParam);
+
+    self.emit("response", {
+      linkCount: Object.keys(linkMap).reduce(function(count, article) {
+        return count + linkMap[article].length;
+      }, 0),
+      complete: !response.continueParam
+    });
+
+    if (response.continueParam) {
+      currentBatch.continueParam = response.continueParam;
+      self.lastBatchIndex = self.batchIndex;
+    }
+    else {
+      currentBatch.articles.forEach(function(article) {
+        if (!(article in linkMap))
+          linkMap[article] = [];
+      });
+      self.batches.splice(self.batchIndex, 1);
+      self.lastBatchIndex = undefined;
+    }
+
+    return linkMap;
+
+  }, onError);
+};
+
+/**
+ * Requests the next links of a batch from the server. Which of the articles
+ * in the batch are disambiguation pages is reported along with their links.
+ * @param {Object} batch - The batch to request the links of.
+ * @param {CancelToken} [cancelToken] - Optional token that aborts the requests.
+ * @returns {Promise<Object>} A promise that resolves to the links in the
+ *   format returned by 'MediaWikiAPI.prototype.getLinks'.
+ */
+LinkFetcher.prototype.request = function(batch, cancelToken) {
+
+  var self = this;
+
+  self.emit("request", {
+    titles: batch.articles,
+    continued: batch.continueParam !== undefined
+  });
+
+  if (self.bodyOnly)
+    return self.api.getBodyLinks(batch.articles[0], self.includeInfoboxes, cancelToken);
+  else if (self.direction == "forward")
+    return self.api.getLinks(batch.titlesParam, "max", batch.continueParam, cancelToken);
+  else
+    return self.api.getBacklinks(batch.titlesParam, "max", batch.continueParam, cancelToken);
+
+};
+
+/**
+ * Describes what the links of the fetcher are fetched with, as the shape of
+ * their entries in the link cache.
+ * @returns {string} The shape.
+ */
+LinkFetcher.prototype.cacheShape = function() {
+
+  if (this.bodyOnly)
+    return this.includeInfoboxes ? "body+infoboxes" : "body";
+  return this.direction;
+
+};
+
+/**
+ * Holds back the links of a batch until they are all known, so articles with
+ * too many links can be reported as hubs before any of their links are used.
+ * @param {Object} batch - The batch the links belong to.
+ * @param {Object.<string,string[]>} linkMap - The links in the latest response.
+ * @param {boolean} batchComplete - Whether the response completes the batch.
+ * @returns {Object.<string,string[]>} The links that can be released.
+ */
+LinkFetcher.prototype.holdLinks = function(batch, linkMap, batchComplete) {
+
+  var self = this;
+
+  var released = {};
+
+  Object.keys(linkMap).forEach(function(article) {
+    if (article in self.hubs)
+      return;
+    if (self.exempt.indexOf(article) != -1) {
+      released[article] = linkMap[article];
+      return;
+    }
+    var heldLinks = (batch.heldLinks[article] || []).concat(linkMap[article]);
+    if (heldLinks.length > self.maxLinks) {
+      self.hubs[article] = true;
+      delete batch.heldLinks[article];
+    }
+    else
+      batch.heldLinks[article] = heldLinks;
+  });
+
+  if (!batchComplete)
+    return released;
+
+  Object.keys(batch.heldLinks).forEach(function(article) {
+    released[article] = batch.heldLinks[article];
+  });
+  batch.heldLinks = {};
+  return released;
+
+};
+
+/**
+ * Determines whether an article was found to have too many links.
+ * @param {string} title - The title of the article.
+ * @returns {boolean} Whether the article has more links than 'maxLinks'.
+ */
+LinkFetcher.prototype.isHub = function(title) {
+
+  return title in this.hubs;
+
+};
+
+LinkFetcher.prototype.markLastBatchUndesirable = function() {
+
+  if (this.lastBatchIndex !== undefined) {
+
+    var lastBatch = this.batches.splice(this.lastBatchIndex, 1)[0];
+    this.undesirableBatchStack.push(lastBatch);
+    this.lastBatchIndex = undefined;
+    this.emit("undesirable", { batchCount: 1, all: false });
+
+  }
+
+}
+
+LinkFetcher.prototype.markAllBatchesUndesirable = function() {
+
+  this.emit("undesirable", { batchCount: this.batches.length, all: true });
+  this.undesirableBatchStack = this.undesirableBatchStack.concat(this.batches);
+  this.batches = [];
+  this.lastBatchIndex = undefined;
+
+}
+
+LinkFetcher.prototype.complete = function() {
+
+  return this.batches.length == 0 && this.undesirableBatchStack.length == 0;
+
+};
+
+LinkFetcher.prototype.noDesirableBatches = function() {
+
+  return this.batches.length == 0;
+
+};
+
+/**
+ * Captures the state of the fetcher as plain data for 'LinkFetcher.deserialize'.
+ * A request in progress is left out, so it is made again after deserializing.
+ * @returns {Object} The state, which can be converted to JSON.
+ */
+LinkFetcher.prototype.serialize = function() {
+
+  return {
+    direction: this.direction,
+    options: this.options,
+    batchIndex: this.batchIndex,
+    lastBatchIndex: this.lastBatchIndex,
+    batches: this.batches,
+    undesirableBatchStack: this.undesirableBatchStack,
+    hubs: this.hubs
+  };
+
+};
+
+/**
+ * Recreates a fetcher from the state captured by 'serialize'.
+ * @param {Object} data - The captured state.
+ * @returns {LinkFetcher} The recreated fetcher.
+ */
+LinkFetcher.deserialize = function(data) {
+
+  var fetcher = new LinkFetcher(data.direction, data.options);
+
+  fetcher.batchIndex = data.batchIndex;
+  fetcher.lastBatchIndex = data.lastBatchIndex === null ? undefined : data.lastBatchIndex;
+  fetcher.batches = data.batches;
+  fetcher.undesirableBatchStack = data.undesirableBatchStack;
+  fetcher.hubs = data.hubs;
+
+  return fetcher;
+
+};
+
+/**
+ * @constructor
+ * @param {string} rootPageTitle - The title of the start or end article.
+ * @param {string} direction - Either "forward" or "backward".
+ * @param {Object} [options] - Optional settings. When 'strict' is true the
+ *   tree is expanded in strict breadth-first order, one whole layer at a time.
+ *   'forbidden' is an array of titles that are never added to the tree.
+ *   'filters' is an object describing pages that are kept out of the tree:
+ *   'disambiguation' filters disambiguation pages, 'titlePattern' is a
+ *   regular expression for titles to filter, 'maxLinks' filters pages with
+ *   more links in the direction of the tree, and 'exempt' is an array of
+ *   titles that are never filtered. 'bodyOnly' and 'includeInfoboxes' choose
+ *   the links followed, 'hostname' the wiki they are followed on and
+ *   'tuning' the batches they are fetched in, as documented for
+ *   'LinkFetcher'. 'tuning' also overrides when batches are undesirable.
+ */
+function ArticleTree(rootPageTitle, direction, options)
+{
+  var self = this;
+
+  options = options || {};
+
+  this.rootTitle = rootPageTitle;
+  this.options = options;
+  this.api = getWikiAPI(options.hostname);
+  this.direction = direction;
+  this.strict = !!options.strict;
+  this.tuning = searchTuning(options.tuning);
+
+  this.forbidden = {};
+  (options.forbidden || []).forEach(function(title) {
+    self.forbidden[title] = true;
+  });
+
+  this.filters = options.filters || {};
+  this.titleFilter = this.filters.titlePattern ? new RegExp(this.filters.titlePattern) : undefined;
+
+  this.treeObj = {};
+  this.treeObj[rootPageTitle] = "_root";
+
+  this.fringe = {};
+  this.fringe[rootPageTitle] = true;
+  this.fringeSize = 1;
+
+  this.depthMap = {};
+  this.depthMap[rootPageTitle] = 0;
+
+  // maps canonical titles to the redirect titles they are stored under
+  this.aliases = {};
+
+  // parents other than the one in 'treeObj' that link to a page at equal depth
+  this.extraParents = {};
+
+  this.linkFetcher = new LinkFetcher(direction, {
+    maxLinks: this.filters.maxLinks,
+    exempt: [rootPageTitle],
+    bodyOnly: options.bodyOnly,
+    includeInfoboxes: options.includeInfoboxes,
+    hostname: options.hostname,
+    tuning: this.tuning
+  });
+  this.linkFetcher.addArticles([rootPageTitle]);
+
+  this.toExplore = [];
+
+  this.size = 1;
+
+  this.layerSizes = [1];
+
+  // number of titles dropped because their pages don't exist
+  this.prunedCount = 0;
+
+  // number of links to forbidden articles that were skipped
+  this.avoidedCount = 0;
+
+  // number of titles kept out of the tree by the filters
+  this.filteredCount = 0;
+
+  this.explorePromise = undefined;
+
+  this.consecutiveUndesirableBatches = 0;
+
+  this.onEvent = undefined;
+}
+
+/**
+ * Sets the function that is called with structured events as the tree and
+ * its link fetcher work. Events have a 'type', the 'direction' of the tree
+ * and the 'time' they happened. The fetcher reports a "request" for the
+ * 'titles' of a batch, whether it is 'continued', a "response" with its
+ * 'linkCount' and whether the batch is 'complete', and batches marked
+ * "undesirable" with their 'batchCount'. The tree reports each "explore"
+ * with the number of 'newTitles', its 'size' and 'fringeSize', and an
+ * "inject" of the 'articleCount' articles of its fringe into new batches.
+ * @param {function} [handler] - Called with each event.
+ */
+ArticleTree.prototype.setEventHandler = function(handler) {
+
+  this.onEvent = handler;
+  this.linkFetcher.onEvent = handler;
+
+};
+
+/**
+ * Reports something the tree did to the function in 'onEvent', if any.
+ * @param {string} type - The type of the event.
+ * @param {Object} [details] - Properties describing the event.
+ */
+ArticleTree.prototype.emit = function(type, details) {
+
+  if (!this.onEvent)
+    return;
+
+  var event = details || {};
+  event.type = type;
+  event.direction = this.direction;
+  event.time = new Date().getTime();
+  this.onEvent(event);
+
+};
+
+ArticleTree.prototype.explore = function(cancelToken)
+{
+
+  var self = this;
+
+  if (self.explorePromise)
+    return self.explorePromise.then(function() {
+      return self.explore(cancelToken);
+    });
+
+  if (self.linkFetcher.noDesirableBatches()) {
+
+    self.diversify();
+
+    if (self.linkFetcher.complete()) {
+      var deadEndError = new Error("Ran into a dead end while exloring article tree");
+      deadEndError.deadEnd = true;
+      return instantPromise(deadEndError, true);
+    }
+
+  }
+
+  self.explorePromise = self.linkFetcher.fetch(cancelToken);
+
+  function onError(error) {
+    self.explorePromise = undefined;
+    throw error;
+  }
+
+  return self.explorePromise.then(function(response) {
+
+    self.explorePromise = undefined;
+
+    var newTitles = [];
+
+    // canonical titles that became reachable through a newly resolved redirect
+    var newAliases = [];
+
+    // redirects to the parents, whose backlinks are fetched with this layer
+    var newRedirects = [];
+
+    // parents that turned out to be red links say nothing about the batch
+    var existingParentCount = 0;
+
+    var parentTitles = Object.keys(response);
+    parentTitles.forEach(function(parentTitle) {
+
+      // pages removed since they were batched have nothing to add
+      if (!(parentTitle in self.treeObj))
+        return;
+
+      if (parentTitle in self.fringe) {
+        delete self.fringe[parentTitle];
+        self.fringeSize -= 1;
+      }
+
+      if (self.api.isMissing(parentTitle)) {
+        self.prune(parentTitle);
+        return;
+      }
+
+      // fetching a redirect reveals the page it points to
+      var parentCanonical = self.api.resolveRedirect(parentTitle);
+
+      // a redirect may turn out to point to a forbidden article
+      if (self.isForbidden(parentCanonical)) {
+        if (self.remove(parentTitle))
+          self.avoidedCount += 1;
+        return;
+      }
+
+      // hubs and disambiguation pages are only recognized once their links are fetched
+      if (self.treeObj[parentTitle] != "_root" && self.isFiltered(parentTitle)) {
+        if (self.remove(parentTitle))
+          self.filteredCount += 1;
+        return;
+      }
+
+      existingParentCount += 1;
+
+      if (parentCanonical != parentTitle && !self.containsPage(parentCanonical)) {
+        self.aliases[parentCanonical] = parentTitle;
+        newAliases.push(parentCanonical);
+      }
+
+      var childTitles = response[parentTitle];
+      childTitles.forEach(function(childTitle) {
+
+        // redirects to the parent are kept so that their backlinks are followed,
+        // while a forward link to one is just a link back to the parent
+        var childCanonical = self.api.resolveRedirect(childTitle);
+        var redirectsToParent = self.direction == "backward" && childCanonical == parentCanonical;
+        if (redirectsToParent ? childTitle in self.treeObj : self.containsPage(childTitle)) {
+          self.addExtraParent(childTitle, parentTitle);
+          return;
+        }
+
+        // red links found before never enter the tree again
+        if (self.api.isMissing(childTitle)) {
+          self.prunedCount += 1;
+          return;
+        }
+
+        if (self.isForbidden(childTitle)) {
+          self.avoidedCount += 1;
+          return;
+        }
+
+        if (self.isFiltered(childTitle)) {
+          self.filteredCount += 1;
+          return;
+        }
+
+        // a redirect to the parent is the same page, so it's no deeper
+        var childDepth = self.depthMap[parentTitle];
+        if (!redirectsToParent)
+          childDepth += 1;
+
+        self.treeObj[childTitle] = parentTitle;
+        self.fringe[childTitle] = true;
+        self.depthMap[childTitle] = childDepth;
+        newTitles.push(childTitle);
+
+        if (childCanonical != childTitle && !self.containsPage(childCanonical))
+          self.aliases[childCanonical] = childTitle;
+
+        // a redirect belongs to the layer being expanded, so fetch it right away
+        if (redirectsToParent)
+          newRedirects.push(childTitle);
+        else
+          self.toExplore.push(childTitle);
+
+        while (self.layerSizes.length <= childDepth)
+          self.layerSizes.push(0);
+
+        self.layerSizes[childDepth] += 1;
+
+      });
+
+    });
+
+    self.linkFetcher.addArticles(newRedirects);
+
+    // batches of red links say nothing about their links, and strict order
+    // is never changed
+    if (existingParentCount != 0 && !self.strict) {
+      if (newTitles.length < self.tuning.minNewTitles) {
+        self.linkFetcher.markLastBatchUndesirable();
+        self.consecutiveUndesirableBatches += 1;
+
+        if (self.consecutiveUndesirableBatches >= self.tuning.maxUndesirableBatches) {
+          self.consecutiveUndesirableBatches = 0;
+          self.linkFetcher.markAllBatchesUndesirable();
+        }
+      }
+      else
+        self.consecutiveUndesirableBatches = 0;
+    }
+
+    self.size += newTitles.length;
+    self.fringeSize += newTitles.length;
+
+    self.emit("explore", {
+      newTitles: newTitles.length,
+      size: self.size,
+      fringeSize: self.fringeSize
+    });
+
+    return newTitles.concat(newAliases);
+
+  }, onError);
+
+};
+
+/**
+ * The properties of a tree that change as it is explored, which are the ones
+ * captured by 'serialize'.
+ * @constant {string[]}
+ */
+ArticleTree.STATE_PROPERTIES = [
+  "treeObj", "fringe", "fringeSize", "depthMap", "aliases", "extraParents",
+  "toExplore", "size", "layerSizes", "prunedCount", "avoidedCount",
+  "filteredCount", "consecutiveUndesirableBatches"
+];
+
+/**
+ * Captures the state of the tree as plain data for 'ArticleTree.deserialize'.
+ * @returns {Object} The state, which can be converted to JSON.
+ */
+ArticleTree.prototype.serialize = function() {
+
+  var self = this;
+
+  var data = {
+    rootTitle: self.rootTitle,
+    direction: self.direction,
+    options: self.options,
+    linkFetcher: self.linkFetcher.serialize()
+  };
+
+  ArticleTree.STATE_PROPERTIES.forEach(function(property) {
+    data[property] = self[property];
+  });
+
+  return data;
+
+};
+
+/**
+ * Recreates a tree from the state captured by 'serialize'.
+ * @param {Object} data - The captured state.
+ * @returns {ArticleTree} The recreated tree.
+ */
+ArticleTree.deserialize = function(data) {
+
+  var tree = new ArticleTree(data.rootTitle, data.direction, data.options);
+
+  ArticleTree.STATE_PROPERTIES.forEach(function(property) {
+    if (!(property in data))
+      throw new Error("The saved search tree is missing its " + property + ".");
+    tree[property] = data[property];
+  });
+  tree.linkFetcher = LinkFetcher.deserialize(data.linkFetcher);
+
+  return tree;
+
+};
+
+ArticleTree.prototype.diversify = function() {
+
+  var self = this;
+
+  // titles found to be red links since they were added are not worth a batch
+  var articles = self.toExplore.filter(function(title) {
+    if (!self.api.isMissing(title))
+      return true;
+    self.prune(title);
+    return false;
+  });
+
+  self.emit("inject", { articleCount: articles.length });
+  self.linkFetcher.addArticles(articles);
+  self.toExplore = [];
+
+};
+
+/**
+ * Removes a page that doesn't exist from the tree.
+ * @param {string} title - The title of the page, which must be a leaf.
+ */
+ArticleTree.prototype.prune = function(title) {
+
+  if (this.remove(title))
+    this.prunedCount += 1;
+
+};
+
+/**
+ * Removes a leaf page from the tree.
+ * @param {string} title - The title of the page, which must be a leaf.
+ * @returns {boolean} Whether the page was removed.
+ */
+ArticleTree.prototype.remove = function(title) {
+
+  if (!(title in this.treeObj) || this.treeObj[title] == "_root")
+    return false;
+
+  if (title in this.fringe) {
+    delete this.fringe[title];
+    this.fringeSize -= 1;
+  }
+
+  this.layerSizes[this.depthMap[title]] -= 1;
+  delete this.treeObj[title];
+  delete this.depthMap[title];
+
+  this.size -= 1;
+
+  return true;
+
+};
+
+ArticleTree.prototype.pathToRoot = function(title) {
+
+  var key = this.findKey(title);
+  if (key === undefined)
+    throw new Error("title is not in the article tree.");
+
+  var path = [];
+  while (this.treeObj[key] != "_root") {
+    key = this.treeObj[key];
+    path.push(key);
+  }
+  return path;
+
+}
+
+/**
+ * Records another parent of a page that is already in the tree, as long as the
+ * parent is as close to the root as the page's first parent.
+ * @param {string} title - The title of the page already in the tree.
+ * @param {string} parentTitle - The key of the newly found parent.
+ */
+ArticleTree.prototype.addExtraParent = function(title, parentTitle) {
+
+  var key = this.findKey(title);
+  if (key === undefined || this.treeObj[key] == "_root" || this.treeObj[key] == parentTitle)
+    return;
+
+  var parentKey = this.treeObj[key];
+  if (this.depthMap[parentTitle] != this.depthMap[parentKey])
+    return;
+
+  if (!(key in this.extraParents))
+    this.extraParents[key] = [];
+  if (this.extraParents[key].indexOf(parentTitle) == -1)
+    this.extraParents[key].push(parentTitle);
+
+};
+
+/**
+ * Finds several paths from a page to the root, following every parent of
+ * equal depth rather than just the first one found.
+ * @param {string} title - The title of the page, which must be in the tree.
+ * @param {number} limit - The maximum number of paths to return.
+ * @returns {string[][]} Paths in the format returned by 'pathToRoot'.
+ */
+ArticleTree.prototype.pathsToRoot = function(title, limit) {
+
+  var self = this;
+
+  var key = self.findKey(title);
+  if (key === undefined)
+    throw new Error("title is not in the article tree.");
+
+  var paths = [];
+
+  function walk(currentKey, path) {
+
+    if (paths.length >= limit)
+      return;
+
+    if (self.treeObj[currentKey] == "_root") {
+      paths.push(path);
+      return;
+    }
+
+    var parents = [self.treeObj[currentKey]].concat(self.extraParents[currentKey] || []);
+    parents.forEach(function(parentKey) {
+      walk(parentKey, path.concat([parentKey]));
+    });
+
+  }
+
+  walk(key, []);
+  return paths;
+
+};
+
+/**
+ * Finds the title a page is stored under, accounting for redirects.
+ * @param {string} title - The title of the page, redirect or not.
+ * @returns {string|undefined} The title used as the key in 'treeObj', or
+ *   undefined if the page is not in the tree.
+ */
+ArticleTree.prototype.findKey = function(title) {
+
+  if (title in this.treeObj)
+    return title;
+
+  var canonical = this.api.resolveRedirect(title);
+  if (canonical in this.treeObj)
+    return canonical;
+  if (canonical in this.aliases)
+    return this.aliases[canonical];
+
+  return undefined;
+
+};
+
+/**
+ * Gets the depth of a page in the tree, accounting for redirects.
+ * @param {string} title - The title of the page, which must be in the tree.
+ * @returns {number} The number of links between the page and the root.
+ */
+ArticleTree.prototype.depthOf = function(title) {
+
+  return this.depthMap[this.findKey(title)];
+
+};
+
+/**
+ * Ranks the pages on the fringe of the tree, whose links haven't been fetched
+ * yet. Pages linked from more of the tree come first, then shallower pages.
+ * @param {number} limit - The maximum number of pages to return.
+ * @returns {Object[]} The pages, each with its 'title', its 'depth' and the
+ *   number of 'parents' in the tree that link to it.
+ */
+ArticleTree.prototype.rankFringe = function(limit) {
+
+  var self = this;
+
+  var pages = Object.keys(self.fringe).map(function(title) {
+    return {
+      title: title,
+      depth: self.depthMap[title],
+      parents: self.treeObj[title] == "_root" ? 0 : 1 + (self.extraParents[title] || []).length
+    };
+  });
+
+  pages.sort(function(a, b) {
+    return (b.parents - a.parents) || (a.depth - b.depth);
+  });
+
+  return pages.slice(0, limit);
+
+};
+
+/**
+ * Determines whether a page may never be added to the tree.
+ * @param {string} title - The title of the page, redirect or not.
+ * @returns {boolean} Whether the page or the page it redirects to is forbidden.
+ */
+ArticleTree.prototype.isForbidden = function(title) {
+
+  return title in this.forbidden || this.api.resolveRedirect(title) in this.forbidden;
+
+};
+
+/**
+ * Determines whether a page is kept out of the tree by the filters.
+ * @param {string} title - The title of the page, redirect or not.
+ * @returns {boolean} Whether any filter matches the page.
+ */
+ArticleTree.prototype.isFiltered = function(title) {
+
+  var canonical = this.api.resolveRedirect(title);
+
+  var exempt = this.filters.exempt || [];
+  if (exempt.indexOf(title) != -1 || exempt.indexOf(canonical) != -1)
+    return false;
+
+  if (this.filters.disambiguation && this.api.isDisambiguation(title))
+    return true;
+
+  if (this.titleFilter && (this.titleFilter.test(title) || this.titleFilter.test(canonical)))
+    return true;
+
+  return this.linkFetcher.isHub(title);
+
+};
+
+/**
+ * Determines whether the tree holds a link from one page to another, whatever
+ * redirects the pages were stored under.
+ * @param {string} parentTitle - The title of the page the link belongs to in
+ *   the direction of the tree.
+ * @param {string} childTitle - The title of the page at the other end.
+ * @returns {boolean} Whether either parent of the child is the given page.
+ */
+ArticleTree.prototype.hasLink = function(parentTitle, childTitle) {
+
+  var key = this.findKey(childTitle);
+  if (key === undefined)
+    return false;
+
+  var api = this.api;
+  var canonicalParent = api.resolveRedirect(parentTitle);
+  var parents = [this.treeObj[key]].concat(this.extraParents[key] || []);
+  return parents.some(function(title) {
+    return api.resolveRedirect(title) == canonicalParent;
+  });
+
+};
+
+ArticleTree.prototype.containsPage = function(title) {
+
+  return this.findKey(title) !== undefined;
+  
+};
+
+/**
+ * A combobox for entering the title of an article. The entered title is
+ * searched for as it is typed, and the other results are offered as
+ * suggestions that can be chosen with the mouse, or with the arrow keys and
+ * enter. Whether the title is an article is shown next to it and announced to
+ * screen readers, and errors are shown below it. Below it is also a preview
+ * of the suggestion being hovered over or chosen with the arrow keys, or
+ * else of the entered article. The URL of an article can be pasted in place
+ * of its title.
+ * @constructor
+ * @param {HTMLElement} container - The element to build the select in.
+ * @param {string} title - The label of the select.
+ */
+function ArticleSelect(container, title) {
+
+  var self = this;
+
+  articleSelectCount += 1;
+  var id = "articleselect-" + articleSelectCount;
+
+  container.className = "articleselect";
+
+  var header = document.createElement("div");
+  header.className = "articleselect-header";
+
+  var label = document.createElement("label");
+  label.className = "articleselect-label";
+  label.htmlFor = id + "-input";
+  label.innerText = title;
+
+  var suggestionsBox = document.createElement("div");
+  suggestionsBox.className = "articleselect-suggestions";
+  suggestionsBox.id = id + "-suggestions";
+  suggestionsBox.setAttribute("role", "listbox");
+  suggestionsBox.setAttribute("aria-label", title + " suggestions");
+
+  var searchBar = document.createElement("div");
+  searchBar.className = "articleselect-searchbar";
+
+  var inputWrapper = document.createElement("div");
+  inputWrapper.className = "articleselect-inputwrapper";
+
+  var input = document.createElement("input");
+  input.className = "articleselect-input";
+  input.id = id + "-input";
+  input.placeholder = "Wiki Article Title";
+  input.type = "text";
+  input.setAttribute("autocomplete", "off");
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-expanded", "false");
+  input.setAttribute("aria-controls", suggestionsBox.id);
+  input.setAttribute("aria-describedby", id + "-status " + id + "-error");
+  function inputCallback() { self.inputChanged(); }
+  input.oninput = inputCallback;
+  if (input.attachEvent)
+    input.attachEvent("onpropertychange", inputCallback);
+  input.onkeydown = function(event) { self.keyPressed(event || window.event); };
+  input.onfocus = function() { self.setExpanded(true); };
+  input.onblur = function() { self.setExpanded(false); };
+
+  var randomizeButton = document.createElement("button");
+  randomizeButton.setAttribute("type", "button");
+  randomizeButton.setAttribute("aria-label", "Random article");
+  randomizeButton.title = "Random article";
+  randomizeButton.className = "articleselect-randomize button";
+  setIcon(randomizeButton, "dice", "articleselect-icon");
+  randomizeButton.onclick = function() { self.randomize(); };
+
+  // the status is announced instead of the icon
+  var validityIndicator = document.createElement("button");
+  validityIndicator.setAttribute("type", "button");
+  validityIndicator.setAttribute("aria-hidden", "true");
+  validityIndicator.tabIndex = -1;
+  validityIndicator.className = "articleselect-validity button";
+  setIcon(validityIndicator, "x", "articleselect-icon");
+
+  var statusSpan = document.createElement("span");
+  statusSpan.className = "visually-hidden";
+  statusSpan.id = id + "-status";
+  statusSpan.setAttribute("role", "status");
+
+  var previewBox = document.createElement("div");
+  previewBox.className = "article-preview articleselect-preview";
+
+  var errorParagraph = document.createElement("p");
+  errorParagraph.className = "articleselect-error text-error";
+  errorParagraph.id = id + "-error";
+  errorParagraph.setAttribute("role", "alert");
+
+  header.appendChild(label);
+  header.appendChild(suggestionsBox);
+  inputWrapper.appendChild(input);
+  searchBar.appendChild(inputWrapper);
+  searchBar.appendChild(randomizeButton);
+  searchBar.appendChild(validityIndicator);
+  searchBar.appendChild(statusSpan);
+  container.appendChild(header);
+  container.appendChild(searchBar);
+  container.appendChild(previewBox);
+  container.appendChild(errorParagraph);
+
+  self.id = id;
+  self.input = input;
+  self.suggestionsBox = suggestionsBox;
+  self.validityIndicator = validityIndicator;
+  self.statusSpan = statusSpan;
+  self.errorParagraph = errorParagraph;
+  self.previewBox = previewBox;
+  self.suggestions = [];
+  self.previews = {};
+  self.hoveredTitle = undefined;
+  self.activeIndex = -1;
+  self.expanded = false;
+  self.searchTimeout = undefined;
+  self.validatedTitle = undefined;
+  self.waitingForRandom = false;
+  self.api = mediaWikiAPI;
+  self.randomArticleFetcher = randomArticleFetcher;
+
+  /**
+   * Optional function that switches the select to another wiki, which is
+   * offered when the pasted URL of an article is on it. It is passed the
+   * hostname of the wiki and the title of the article.
+   * @type {function}
+   */
+  self.onWikiSwitch = undefined;
+
+  self.setValidity("empty");
+  self.showError("");
+  self.setExpanded(false);
+
+}
+
+ArticleSelect.prototype.inputChanged = function () {
+
+  var self = this;
+  var inputString = self.input.value.trim();
+
+  clearTimeout(self.searchTimeout);
+  self.showError("");
+
+  if (!inputString) {
+    self.clearSuggestions();
+    self.setValidity("empty");
+    return;
+  }
+
+  function handleSearchResults(results) {
+    self.showSearchResults(inputString, results);
+  }
+
+  self.setValidity("checking");
+
+  var articleURL = parseArticleURL(inputString);
+  if (articleURL)
+    self.clearSuggestions();
+
+  self.searchTimeout = setTimeout(function() {
+    if (articleURL) {
+      self.enterArticleURL(inputString, articleURL);
+      return;
+    }
+    self.api.search(inputString, 10).then(
+      handleSearchResults,
+      function (error) {
+        self.setValidity("empty");
+        self.showError("Searching for articles failed: " + error.message);
+      }
+    );
+  }, 2*STANDARD_DELAY);
+
+};
+
+/**
+ * Validates the entered title against the results of searching for it, and
+ * offers the other results as suggestions.
+ * @param {string} inputString - The title that was searched for.
+ * @param {string[]} results - The titles found by the search.
+ */
+ArticleSelect.prototype.showSearchResults = function(inputString, results) {
+
+  var self = this;
+
+  // the results are stale if the input changed during the search
+  if (inputString != self.input.value.trim())
+    return;
+
+  self.clearSuggestions();
+
+  results.forEach(function(title) {
+    if (title == inputString)
+      return;
+    self.addSuggestion(title, inputString);
+  });
+
+  if (results.length >= 1 && inputString.toLowerCase() == results[0].toLowerCase())
+    self.setValidity("valid", results[0]);
+  else
+    self.setValidity("invalid", inputString);
+
+  self.setExpanded(document.activeElement === self.input);
+  self.loadPreviews(self.validatedTitle ? [self.validatedTitle].concat(self.suggestions) : self.suggestions);
+
+};
+
+/**
+ * Checks the article of a pasted URL on the wiki of the URL. An article on
+ * this wiki is entered by its title, with redirects followed, and switching to
+ * another wiki is offered for an article on it.
+ * @param {string} inputString - The URL that was entered.
+ * @param {Object} articleURL - The wiki and the title of the URL, as returned
+ *   by 'parseArticleURL'.
+ */
+ArticleSelect.prototype.enterArticleURL = function(inputString, articleURL) {
+
+  var self = this;
+  var api = getWikiAPI(articleURL.hostname);
+
+  api.resolveTitle(articleURL.title).then(function(title) {
+
+    // the URL is stale if the input changed while it was checked
+    if (inputString != self.input.value.trim())
+      return;
+
+    if (api === self.api) {
+      if (title) {
+        self.input.value = title;
+        self.setValidity("valid", title);
+        self.loadPreviews([title]);
+      }
+      else
+        self.setValidity("invalid", articleURL.title);
+      return;
+    }
+
+    self.setValidity("empty");
+    if (!title) {
+      self.showError("No article on " + api.hostname + " is titled " + articleURL.title + ".");
+      return;
+    }
+
+    var switchLink = self.onWikiSwitch && createJSLink("switch to " + api.hostname, function() {
+      self.onWikiSwitch(api.hostname, title);
+    });
+    self.showError(title + " is an article on " + api.hostname + ", not on " + self.api.hostname + ". ", switchLink);
+
+  }, function(error) {
+    if (inputString != self.input.value.trim())
+      return;
+    self.setValidity("empty");
+    self.showError("Checking the article failed: " + error.message);
+  });
+
+};
+
+/**
+ * Gets the previews of titles in one request, and shows the one that is
+ * being looked at. Previews are optional, so failures are ignored.
+ * @param {string[]} titles - The titles to get the previews of.
+ */
+ArticleSelect.prototype.loadPreviews = function(titles) {
+
+  var self = this;
+  var api = self.api;
+
+  if (titles.length == 0)
+    return;
+
+  api.getPreviews(titles).then(function(previews) {
+    // previews from another wiki would be of other articles
+    if (api !== self.api)
+      return;
+    Object.keys(previews).forEach(function(title) {
+      self.previews[title] = previews[title];
+    });
+    self.showPreview();
+  }, function() {});
+
+};
+
+/**
+ * Shows the preview of the suggestion that is hovered over or active, or else
+ * of the validated title, if its preview has been loaded.
+ */
+ArticleSelect.prototype.showPreview = function() {
+
+  var title = this.hoveredTitle;
+  if (!title && this.activeIndex != -1)
+    title = this.suggestions[this.activeIndex];
+  if (!title)
+    title = this.validatedTitle;
+
+  var preview = title && this.previews[title];
+  if (preview)
+    fillArticlePreview(this.previewBox, preview, title);
+  this.previewBox.style.display = preview ? "" : "none";
+
+};
+
+/**
+ * Enters a title and validates it straight away, as when the form is filled
+ * in from a permalink.
+ * @param {string} title - The title to enter.
+ * @returns {Promise<string|undefined>} A promise that resolves to the
+ *   validated title, or undefined if no article has the title.
+ */
+ArticleSelect.prototype.setTitle = function(title) {
+
+  var self = this;
+  var inputString = title.trim();
+
+  clearTimeout(self.searchTimeout);
+  self.input.value = inputString;
+  self.showError("");
+  self.setValidity("checking");
+
+  return self.api.search(inputString, 10).then(function(results) {
+    self.showSearchResults(inputString, results);
+    return self.validatedTitle;
+  }, function(error) {
+    self.setValidity("empty");
+    throw error;
+  });
+
+};
+
+/**
+ * Shows whether the entered title is an article, and announces it.
+ * @param {string} state - One of "empty", "checking", "valid" or "invalid".
+ * @param {string} [title] - The validated title, or the title that was
+ *   searched for if it is not an article.
+ */
+ArticleSelect.prototype.setValidity = function(state, title) {
+
+  var suggestionCount = this.suggestions.length;
+  var message = "";
+
+  if (state == "valid")
+    message = title + " is an article.";
+  else if (state == "invalid")
+    message = "No article is titled " + title + ".";
+  if (suggestionCount > 0 && (state == "valid" || state == "invalid"))
+    message += " " + suggestionCount + (suggestionCount == 1 ? " suggestion" : " suggestions") +
+      " available, use the arrow keys to choose.";
+
+  if (state == "checking")
+    setIcon(this.validityIndicator, "sync", "articleselect-icon spin");
+  else
+    setIcon(this.validityIndicator, state == "valid" ? "check" : "x", "articleselect-icon");
+
+  this.validatedTitle = state == "valid" ? title : undefined;
+  this.validityIndicator.title = message;
+  this.statusSpan.innerText = message;
+  this.input.setAttribute("aria-invalid", state == "invalid" ? "true" : "false");
+  this.showPreview();
+
+};
+
+/**
+ * Shows an error below the select, or hides it.
+ * @param {string} message - The error, or an empty string to hide it.
+ * @param {HTMLElement} [link] - A link to show after the error, that offers
+ *   a way around it.
+ */
+ArticleSelect.prototype.showError = function(message, link) {
+
+  this.errorParagraph.innerText = message;
+  if (link)
+    this.errorParagraph.appendChild(link);
+  this.errorParagraph.style.display = message ? "" : "none";
+
+};
+
+/**
+ * Offers a title as a suggestion, with the part of it that matches the
+ * entered title highlighted.
+ * @param {string} title - The title to suggest.
+ * @param {string} inputString - The entered title.
+ */
+ArticleSelect.prototype.addSuggestion = function(title, inputString) {
+
+  var self = this;
+  var index = self.suggestions.length;
+
+  var option = document.createElement("div");
+  option.className = "articleselect-option";
+  option.id = self.id + "-option-" + index;
+  option.title = title;
+  option.setAttribute("role", "option");
+  option.setAttribute("aria-selected", "false");
+
+  var matchIndex = title.toLowerCase().indexOf(inputString.toLowerCase());
+  if (matchIndex == -1)
+    option.appendChild(document.createTextNode(title));
+  else {
+    var match = document.createElement("mark");
+    match.className = "articleselect-match";
+    match.innerText = title.substr(matchIndex, inputString.length);
+    option.appendChild(document.createTextNode(title.substr(0, matchIndex)));
+    option.appendChild(match);
+    option.appendChild(document.createTextNode(title.substr(matchIndex + inputString.length)));
+  }
+
+  // keep the focus on the input so the suggestions stay open
+  option.onmousedown = function(event) {
+    preventDefault(event || window.event);
+  };
+  option.onclick = function() {
+    self.chooseSuggestion(index);
+  };
+  option.onmouseover = function() {
+    self.hoveredTitle = title;
+    self.showPreview();
+  };
+  option.onmouseout = function() {
+    self.hoveredTitle = undefined;
+    self.showPreview();
+  };
+
+  self.suggestions.push(title);
+  self.suggestionsBox.appendChild(option);
+
+};
+
+/**
+ * Removes every suggestion, and with them the hovered and active ones.
+ */
+ArticleSelect.prototype.clearSuggestions = function() {
+
+  this.suggestionsBox.innerHTML = "";
+  this.suggestions = [];
+  this.hoveredTitle = undefined;
+  this.activeIndex = -1;
+  this.input.removeAttribute("aria-activedescendant");
+  this.setExpanded(this.expanded);
+
+};
+
+/**
+ * Enters a suggested title, which is known to be an article.
+ * @param {number} index - The index of the suggestion.
+ */
+ArticleSelect.prototype.chooseSuggestion = function(index) {
+
+  var title = this.suggestions[index];
+
+  clearTimeout(this.searchTimeout);
+  this.input.value = title;
+  this.showError("");
+  this.clearSuggestions();
+  this.setValidity("valid", title);
+  this.setExpanded(false);
+
+};
+
+/**
+ * Marks a suggestion as the one that enter chooses, and scrolls it into view.
+ * @param {number} index - The index of the suggestion, or -1 for none.
+ */
+ArticleSelect.prototype.setActiveSuggestion = function(index) {
+
+  var self = this;
+  var options = self.suggestionsBox.childNodes;
+
+  self.activeIndex = index;
+
+  for (var i = 0; i < options.length; i++) {
+    options[i].className = "articleselect-option" + (i == index ? " active" : "");
+    options[i].setAttribute("aria-selected", i == index ? "true" : "false");
+  }
+
+  self.showPreview();
+
+  if (index == -1) {
+    self.input.removeAttribute("aria-activedescendant");
+    return;
+  }
+
+  var option = options[index];
+  self.input.setAttribute("aria-activedescendant", option.id);
+
+  // suggestions that don't fit wrap onto rows that are scrolled to
+  self.suggestionsBox.scrollTop = option.offsetTop;
+
+};
+
+/**
+ * Shows or hides the suggestions. They are only shown when there are any.
+ * @param {boolean} expanded - Whether to show the suggestions.
+ */
+ArticleSelect.prototype.setExpanded = function(expanded) {
+
+  this.expanded = expanded;
+  var shown = expanded && this.suggestions.length > 0;
+
+  this.suggestionsBox.style.visibility = shown ? "visible" : "hidden";
+  this.input.setAttribute("aria-expanded", shown ? "true" : "false");
+  if (!expanded && this.activeIndex != -1)
+    this.setActiveSuggestion(-1);
+
+};
+
+/**
+ * Moves through the suggestions with the arrow keys, chooses one with enter
+ * and hides them with escape.
+ * @param {KeyboardEvent} event - The keydown event of the input.
+ */
+ArticleSelect.prototype.keyPressed = function(event) {
+
+  var count = this.suggestions.length;
+  var keyCode = event.keyCode;
+
+  if ((keyCode == 40 || keyCode == 38) && count > 0) {
+    // down and up arrows wrap around
+    var index = this.activeIndex;
+    if (keyCode == 40)
+      index = index + 1 >= count ? 0 : index + 1;
+    else
+      index = index <= 0 ? count - 1 : index - 1;
+    this.setExpanded(true);
+    this.setActiveSuggestion(index);
+    preventDefault(event);
+  }
+  else if (keyCode == 13 && this.activeIndex != -1) {
+    // enter chooses instead of submitting the form
+    this.chooseSuggestion(this.activeIndex);
+    preventDefault(event);
+  }
+  else if (keyCode == 27 && this.expanded && count > 0) {
+    this.setExpanded(false);
+    preventDefault(event);
+  }
+
+};
+
+/**
+ * Changes the wiki that articles are searched for on, and checks the title
+ * that has been entered again.
+ * @param {MediaWikiAPI} api - The API of the wiki.
+ */
+ArticleSelect.prototype.setAPI = function(api) {
+
+  this.api = api;
+  this.previews = {};
+  this.randomArticleFetcher = api === mediaWikiAPI ? randomArticleFetcher : new RandomArticleFetcher(api);
+  this.inputChanged();
+
+};
+
+ArticleSelect.prototype.randomize = function() {
+
+  var self = this;
+
+  if (self.waitingForRandom)
+    return;
+
+  self.waitingForRandom = true;
+  self.showError("");
+
+  self.randomArticleFetcher.getArticle().then(function(title) {
+    self.waitingForRandom = false;
+    clearTimeout(self.searchTimeout);
+    self.input.value = title;
+    self.clearSuggestions();
+    self.setValidity("valid", title);
+    self.loadPreviews([title]);
+  }, function(error) {
+    self.waitingForRandom = false;
+    self.showError("No random article could be found: " + error.message);
+  });
+
+};
+
+
+/**
+ * An interactive drawing of a sample of the forward and backward trees of a
+ * solve. The forward tree grows from the left and the backward tree from the
+ * right, one column per depth, and only the first articles of each depth
+ * whose parent is drawn are sampled. Hovering over an article shows its
+ * title and depth and clicking it opens the article.
+ * @constructor
+ * @param {HTMLElement} container - The element to draw the graph in.
+ * @param {HTMLElement} caption - The element that describes the article
+ *   being hovered over.
+ */
+function TreeGraph(container, caption) {
+
+  this.container = container;
+  this.caption = caption;
+  this.trees = {};
+  this.renderTimeout = undefined;
+  this.visible = false;
+  this.path = undefined;
+  this.reset();
+
+}
+
+/**
+ * Forgets the sampled articles, as when the trees of a new segment are drawn.
+ */
+TreeGraph.prototype.reset = function() {
+
+  // sampled titles of each tree, keyed by title and by depth
+  this.sampled = { forward: {}, backward: {} };
+  this.layers = { forward: [], backward: [] };
+  this.path = undefined;
+
+};
+
+/**
+ * Samples the articles added to the trees and schedules a redraw.
+ * @param {ArticleTree} forwardTree - The tree grown from the start article.
+ * @param {ArticleTree} backwardTree - The tree grown from the end article.
+ */
+TreeGraph.prototype.update = function(forwardTree, backwardTree) {
+
+  var self = this;
+
+  if (self.trees.forward !== forwardTree || self.trees.backward !== backwardTree)
+    self.reset();
+  self.trees = { forward: forwardTree, backward: backwardTree };
+
+  if (self.visible && self.renderTimeout === undefined)
+    self.renderTimeout = setTimeout(function() {
+      self.render();
+    }, GRAPH_RENDER_INTERVAL);
+
+};
+
+/**
+ * Adds an article of a tree to the sample.
+ * @param {string} direction - Either "forward" or "backward".
+ * @param {string} title - The key of the article in the tree.
+ * @param {boolean} [force] - Whether to add it even if its layer is full.
+ * @returns {boolean} Whether the article is in the sample.
+ */
+TreeGraph.prototype.sample = function(direction, title, force) {
+
+  var tree = this.trees[direction];
+  var sampled = this.sampled[direction];
+  var layers = this.layers[direction];
+
+  if (title in sampled)
+    return true;
+
+  var depth = tree.depthMap[title];
+  var parent = tree.treeObj[title];
+  if (depth === undefined || (parent != "_root" && !(parent in sampled)))
+    return false;
+
+  while (layers.length <= depth)
+    layers.push([]);
+  if (!force && layers[depth].length >= GRAPH_MAX_NODES_PER_LAYER)
+    return false;
+
+  sampled[title] = true;
+  layers[depth].push(title);
+  return true;
+
+};
+
+/**
+ * Highlights a path found by the solve, and where its trees met.
+ * @param {Object[]} path - The steps of a path to the root of the backward
+ *   tree, which may start before the root of the forward tree, as a path
+ *   through waypoints does.
+ */
+TreeGraph.prototype.highlight = function(path) {
+
+  var self = this;
+
+  if (!self.trees.forward)
+    return;
+
+  var rootIndex = 0;
+  path.forEach(function(step, index) {
+    if (self.trees.forward.findKey(step.title) === self.trees.forward.rootTitle)
+      rootIndex = index;
+  });
+  path = path.slice(rootIndex);
+
+  var last = path.length - 1;
+  var forwardKeys = [];
+  var backwardKeys = [];
+
+  // the path follows the forward tree from the start for as long as it can,
+  // and the backward tree the rest of the way to the end
+  path.forEach(function(step, index) {
+    var forwardKey = self.trees.forward.findKey(step.title);
+    if (forwardKey !== undefined && self.trees.forward.depthMap[forwardKey] == index &&
+      forwardKeys.length == index)
+      forwardKeys.push(forwardKey);
+  });
+  path.slice().reverse().forEach(function(step, index) {
+    var backwardKey = self.trees.backward.findKey(step.title);
+    if (backwardKey !== undefined && self.trees.backward.depthMap[backwardKey] == index &&
+      backwardKeys.length == index)
+      backwardKeys.push(backwardKey);
+  });
+
+  forwardKeys.forEach(function(title) {
+    self.sample("forward", title, true);
+  });
+  backwardKeys.forEach(function(title) {
+    self.sample("backward", title, true);
+  });
+
+  self.path = {
+    forward: forwardKeys,
+    backward: backwardKeys.reverse(),
+    // the articles where the trees met, which are the same page unless the
+    // path crosses to another language there
+    collision: forwardKeys.length + backwardKeys.length > last ? {
+      forward: forwardKeys[forwardKeys.length - 1],
+      backward: backwardKeys[0]
+    } : undefined
+  };
+
+  if (self.visible)
+    self.render();
+
+};
+
+/**
+ * Shows or hides the graph. It is only drawn while it is shown.
+ * @param {boolean} visible - Whether to show the graph.
+ */
+TreeGraph.prototype.setVisible = function(visible) {
+
+  this.visible = visible;
+  this.container.style.display = visible ? "" : "none";
+  this.caption.style.display = visible ? "" : "none";
+
+  if (visible)
+    this.render();
+
+};
+
+/**
+ * Draws the sampled articles of both trees.
+ */
+TreeGraph.prototype.render = function() {
+
+  var self = this;
+
+  clearTimeout(self.renderTimeout);
+  self.renderTimeout = undefined;
+
+  if (!self.trees.forward)
+    return;
+
+  // articles are sampled in the order they were added, parents first
+  ["forward", "backward"].forEach(function(direction) {
+    Object.keys(self.trees[direction].treeObj).forEach(function(title) {
+      self.sample(direction, title);
+    });
+  });
+
+  var svg = document.createElementNS(SVG_NAMESPACE, "svg");
+  svg.setAttribute("viewBox", "0 0 " + GRAPH_WIDTH + " " + GRAPH_HEIGHT);
+  svg.setAttribute("class", "tree-graph");
+
+  var edgeGroup = document.createElementNS(SVG_NAMESPACE, "g");
+  var nodeGroup = document.createElementNS(SVG_NAMESPACE, "g");
+  svg.appendChild(edgeGroup);
+  svg.appendChild(nodeGroup);
+
+  var columnCount = self.layers.forward.length + self.layers.backward.length;
+  var columnWidth = GRAPH_WIDTH / columnCount;
+  var positions = { forward: {}, backward: {} };
+
+  function pathRole(direction, title) {
+    if (!self.path)
+      return undefined;
+    var collision = self.path.collision;
+    if (collision && collision[direction] == title)
+      return "collision";
+    if (self.path[direction].indexOf(title) != -1)
+      return "path";
+    return undefined;
+  }
+
+  ["forward", "backward"].forEach(function(direction) {
+
+    var tree = self.trees[direction];
+    var parentOrder = {};
+
+    self.layers[direction].forEach(function(layer, depth) {
+
+      // articles are listed beside their siblings to avoid crossing edges
+      var titles = layer.filter(function(title) {
+        return title in tree.treeObj;
+      }).map(function(title, index) {
+        return { title: title, index: index, parentIndex: parentOrder[tree.treeObj[title]] || 0 };
+      }).sort(function(a, b) {
+        return a.parentIndex - b.parentIndex || a.index - b.index;
+      });
+
+      var column = direction == "forward" ? depth : columnCount - depth - 1;
+
+      titles.forEach(function(entry, index) {
+
+        parentOrder[entry.title] = index;
+        var x = (column + 0.5) * columnWidth;
+        var y = (index + 1) / (titles.length + 1) * GRAPH_HEIGHT;
+        positions[direction][entry.title] = { x: x, y: y };
+
+        var parentPosition = positions[direction][tree.treeObj[entry.title]];
+        if (parentPosition)
+          edgeGroup.appendChild(self.createEdge(parentPosition, { x: x, y: y },
+            pathRole(direction, entry.title) && pathRole(direction, tree.treeObj[entry.title])));
+
+        nodeGroup.appendChild(self.createNode(tree, entry.title, depth, direction, { x: x, y: y },
+          pathRole(direction, entry.title)));
+
+      });
+
+    });
+
+  });
+
+  // the trees meet where the same article, or its translation, is in both
+  var collision = self.path && self.path.collision;
+  if (collision && positions.forward[collision.forward] && positions.backward[collision.backward])
+    edgeGroup.appendChild(self.createEdge(positions.forward[collision.forward],
+      positions.backward[collision.backward], "collision"));
+
+  self.container.innerHTML = "";
+  self.container.appendChild(svg);
+
+};
+
+/**
+ * Creates the line between two articles.
+ * @param {Object} from - The 'x' and 'y' of one end.
+ * @param {Object} to - The 'x' and 'y' of the other end.
+ * @param {string} [role] - "path" or "collision" to highlight the line.
+ * @returns {SVGLineElement} The line.
+ */
+TreeGraph.prototype.createEdge = function(from, to, role) {
+
+  var line = document.createElementNS(SVG_NAMESPACE, "line");
+  line.setAttribute("x1", from.x);
+  line.setAttribute("y1", from.y);
+  line.setAttribute("x2", to.x);
+  line.setAttribute("y2", to.y);
+  line.setAttribute("class", role ? "graph-edge graph-" + role : "graph-edge");
+
+  return line;
+
+};
+
+/**
+ * Creates the circle of an article, which links to the article.
+ * @param {ArticleTree} tree - The tree the article belongs to.
+ * @param {string} title - The title of the article.
+ * @param {number} depth - The depth of the article in the tree.
+ * @param {string} direction - The direction of the tree.
+ * @param {Object} position - The 'x' and 'y' of the center of the circle.
+ * @param {string} [role] - "path" or "collision" to highlight the article.
+ * @returns {SVGAElement} The link holding the circle.
+ */
+TreeGraph.prototype.createNode = function(tree, title, depth, direction, position, role) {
+
+  var self = this;
+
+  var description = title + " \u00B7 " + depth + (depth == 1 ? " click " : " clicks ") +
+    (direction == "forward" ? "from the start" : "to the end");
+
+  var link = document.createElementNS(SVG_NAMESPACE, "a");
+  link.setAttribute("href", tree.api.buildArticleURL(title));
+  link.setAttributeNS("http://www.w3.org/1999/xlink", "xlink:href", tree.api.buildArticleURL(title));
+  link.setAttribute("target", "_blank");
+
+  var circle = document.createElementNS(SVG_NAMESPACE, "circle");
+  circle.setAttribute("cx", position.x);
+  circle.setAttribute("cy", position.y);
+  circle.setAttribute("r", role ? 6 : 4);
+  circle.setAttribute("class", role ? "graph-node graph-" + role : "graph-node");
+
+  var tooltip = document.createElementNS(SVG_NAMESPACE, "title");
+  tooltip.textContent = description;
+  circle.appendChild(tooltip);
+
+  link.onmouseover = function() {
+    self.caption.innerText = description;
+  };
+
+  link.appendChild(circle);
+  return link;
+
+};
+
+/**
+ * A panel of statistics about a running solve, built from the structured
+ * events of its trees: the requests made in each direction, the bytes
+ * received, the size of each tree and its fringe, the batches put off as
+ * undesirable, the titles of the latest batches and a chart of the growth of
+ * both trees over time.
+ * @constructor
+ * @param {HTMLElement} container - The element to show the panel in.
+ */
+function ProgressPanel(container) {
+
+  var self = this;
+
+  self.container = container;
+  self.visible = false;
+
+  self.startTime = new Date().getTime();
+  self.endTime = undefined;
+  self.startRequests = totalRequestCount();
+  self.startBytes = totalBytesReceived();
+
+  self.directions = {};
+  ["forward", "backward"].forEach(function(direction) {
+    self.directions[direction] = {
+      requests: 0,
+      size: 1,
+      fringeSize: 1,
+      undesirableBatches: 0,
+      batchTitles: []
+    };
+  });
+
+  // sizes of both trees over time
+  self.series = [];
+
+  self.statsParagraph = document.createElement("p");
+  self.statsParagraph.className = "progress-stats";
+  self.chartDiv = document.createElement("div");
+  container.appendChild(self.statsParagraph);
+  container.appendChild(self.chartDiv);
+
+  // the elapsed time changes even when nothing else does, until the page
+  // moves on
+  self.timer = setInterval(function() {
+    if (!self.container.parentNode)
+      clearInterval(self.timer);
+    else
+      self.render();
+  }, 1000);
+
+}
+
+/**
+ * Updates the statistics with an event from one of the trees, as documented
+ * for 'ArticleTree.prototype.setEventHandler'.
+ * @param {Object} event - The event.
+ */
+ProgressPanel.prototype.handleEvent = function(event) {
+
+  var stats = this.directions[event.direction];
+
+  if (event.type == "request") {
+    stats.requests += 1;
+    stats.batchTitles = event.titles;
+  }
+  else if (event.type == "undesirable")
+    stats.undesirableBatches += event.batchCount;
+  else if (event.type == "explore") {
+    stats.size = event.size;
+    stats.fringeSize = event.fringeSize;
+    this.series.push({
+      time: event.time - this.startTime,
+      forward: this.directions.forward.size,
+      backward: this.directions.backward.size
+    });
+    if (this.series.length > GROWTH_SERIES_LENGTH)
+      this.series = this.series.filter(function(point, index) {
+        return index % 2 == 0;
+      });
+  }
+
+};
+
+/**
+ * Shows or hides the panel. It is only drawn while it is shown.
+ * @param {boolean} visible - Whether to show the panel.
+ */
+ProgressPanel.prototype.setVisible = function(visible) {
+
+  this.visible = visible;
+  this.container.style.display = visible ? "" : "none";
+  this.render();
+
+};
+
+/**
+ * Stops the clock once the solve is over.
+ */
+ProgressPanel.prototype.stop = function() {
+
+  clearInterval(this.timer);
+  this.endTime = new Date().getTime();
+  this.render();
+
+};
+
+/**
+ * Draws the statistics and the chart of tree growth.
+ */
+ProgressPanel.prototype.render = function() {
+
+  var self = this;
+
+  if (!self.visible)
+    return;
+
+  var elapsed = (self.endTime || new Date().getTime()) - self.startTime;
+  var requests = totalRequestCount() - self.startRequests;
+  var linkRequests = self.directions.forward.requests + self.directions.backward.requests;
+  var bytes = totalBytesReceived() - self.startBytes;
+
+  var lines = [
+    "Elapsed: " + Math.round(elapsed / 1000) + " s",
+    "Requests: " + requests + " (" + self.directions.forward.requests + " forward, " +
+      self.directions.backward.requests + " backward, " + Math.max(0, requests - linkRequests) + " other)",
+    "Received: " + (bytes < 1048576 ? (bytes / 1024).toFixed(1) + " KB" : (bytes / 1048576).toFixed(2) + " MB")
+  ];
+
+  ["forward", "backward"].forEach(function(direction) {
+    var stats = self.directions[direction];
+    var name = direction == "forward" ? "Forward" : "Backward";
+    lines.push(name + " tree: " + stats.size + " articles, " + stats.fringeSize + " on the fringe, " +
+      stats.undesirableBatches + " batches put off as undesirable");
+    if (stats.batchTitles.length > 0)
+      lines.push(name + " batch: " + stats.batchTitles.slice(0, 3).join(", ") +
+        (stats.batchTitles.length > 3 ? " and " + (stats.batchTitles.length - 3) + " more" : ""));
+  });
+
+  self.statsParagraph.innerText = lines.join("\n");
+
+  if (SVG_SUPPPORTED)
+    self.renderChart();
+
+};
+
+/**
+ * Draws the sizes of both trees over time, the forward tree in black and the
+ * backward tree in gray.
+ */
+ProgressPanel.prototype.renderChart = function() {
+
+  var self = this;
+
+  self.chartDiv.innerHTML = "";
+  if (self.series.length < 2)
+    return;
+
+  var lastPoint = self.series[self.series.length - 1];
+  var maxTime = Math.max(1, lastPoint.time);
+  var maxSize = Math.max(1, maxInArray(self.series.map(function(point) {
+    return Math.max(point.forward, point.backward);
+  })));
+
+  var svg = document.createElementNS(SVG_NAMESPACE, "svg");
+  svg.setAttribute("viewBox", "0 0 " + GRAPH_WIDTH + " " + GROWTH_CHART_HEIGHT);
+  svg.setAttribute("class", "growth-chart");
+
+  ["forward", "backward"].forEach(function(direction) {
+    var polyline = document.createElementNS(SVG_NAMESPACE, "polyline");
+    polyline.setAttribute("points", self.series.map(function(point) {
+      var x = point.time / maxTime * GRAPH_WIDTH;
+      var y = GROWTH_CHART_HEIGHT - point[direction] / maxSize * GROWTH_CHART_HEIGHT;
+      return x.toFixed(1) + "," + y.toFixed(1);
+    }).join(" "));
+    polyline.setAttribute("class", "growth-" + direction);
+    svg.appendChild(polyline);
+  });
+
+  self.chartDiv.appendChild(svg);
+
+};
+
+
+/* =======================
+    APPLICATION FUNCTIONS
+   ======================= */
+
+/**
+ * Gets the API instance of a wiki, creating it the first time it is needed.
+ * @param {string} [hostname] - The hostname of the wiki. The API of the
+ *   current wiki, 'mediaWikiAPI', is returned if it is missing.
+ * @returns {MediaWikiAPI} The API instance.
+ */
+function getWikiAPI(hostname) {
+
+  if (!hostname || hostname == mediaWikiAPI.hostname)
+    return mediaWikiAPI;
+
+  if (!(hostname in otherWikiAPIs))
+    otherWikiAPIs[hostname] = new MediaWikiAPI(hostname);
+  return otherWikiAPIs[hostname];
+
+}
+
+/**
+ * Counts the requests sent to every wiki so far.
+ * @returns {number} The number of requests, counting every retry.
+ */
+function totalRequestCount() {
+
+  return Object.keys(otherWikiAPIs).reduce(function(count, hostname) {
+    return count + otherWikiAPIs[hostname].requestCount;
+  }, mediaWikiAPI.requestCount);
+
+}
+
+/**
+ * Counts the bytes received from every wiki so far. Replayed responses are
+ * not received, so they aren't counted.
+ * @returns {number} The approximate number of bytes.
+ */
+function totalBytesReceived() {
+
+  return bytesReceived;
+
+}
+
+function autoWikipediaHostname() {
+
+  var hostname = query.mw;
+
+  function useDefault() {
+    if (window.navigator.language) {
+      var navLanguage = window.navigator.language.split('-')[0].toLowerCase();
+      if (navLanguage in WIKIPEDIA_LANGUAGES)
+        return navLanguage + ".wikipedia.org";
+    }
+    return "en.wikipedia.org"; // fall back to english wikipedia
+  }
+
+  if (!hostname)
+    return useDefault();
+  else if (VALID_HOSTNAME_REGEX.test(hostname))
+    return hostname;
+  else {
+    alert("Specified mediawiki hostname is invalid! Reverting to default.")
+    return useDefault();
+  }
+
+}
+
+function setupAPI() {
+  
+  var mediaWikiHostname = autoWikipediaHostname();
+  if (query.mw && mediaWikiHostname != query.mw)
+    history.replaceState({}, "", "?mw=" + mediaWikiHostname);
+  if (!mediaWikiAPI || mediaWikiAPI.hostname != mediaWikiHostname) {
+    mediaWikiAPI = new MediaWikiAPI(mediaWikiHostname);
+    randomArticleFetcher = new RandomArticleFetcher();
+  }
+  
+  // create elements to inform user
+  var apiInfo = document.createElement("p");
+  var apiStatus = document.createElement("span");
+  apiStatus.innerText = "Contacting " + mediaWikiAPI.hostname + " ...";
+  apiInfo.className = "text-center text-muted";
+  var apiChangeLink = createJSLink("change wiki", function() {
+    history.pushState({}, "", "#wikiselect");
+    resetPage();
+  });
+
+  function onValidate() {
+    apiStatus.innerText = mediaWikiAPI.server + " - " + mediaWikiAPI.hostname;
+  }
+
+  function onError(error) {
+    apiInfo.className = "text-center text-error";
+    apiStatus.innerHTML = error.message + " ";
+    var tryAgainLink = createJSLink("try again", resetPage);
+    apiInfo.appendChild(document.createElement('br'));
+    apiInfo.appendChild(tryAgainLink);
+  }
+  
+  // add all elements to page
+  apiInfo.appendChild(apiStatus);
+  apiInfo.appendChild(document.createElement('br'));
+  apiInfo.appendChild(apiChangeLink);
+  content.appendChild(apiInfo);
+
+  var validationPromise = mediaWikiAPI.validate();
+  validationPromise.then(onValidate, onError);
+  return validationPromise;
+  
+}
+
+function setupLanguageSelect() {
+
+  // create paragraph to contain the links
+  var paragraph = document.createElement("p");
+  paragraph.className = "text-center";
+
+  // for each wikipedia lanuage create a link for it
+  Object.keys(WIKIPEDIA_LANGUAGES).forEach(function(key) {
+
+    // get info for language
+    var mediaWikiDomain = key + ".wikipedia.org";
+    var language = WIKIPEDIA_LANGUAGES[key];
+
+    // create the link
+    var link = createJSLink(language[0], function() {
+      history.pushState({}, "", "?mw=" + mediaWikiDomain);
+      resetPage();
+    });
+    link.className = "inline-block";
+    link.title = language[1];
+
+    // add the link to the pargraph along with a space after it
+    paragraph.appendChild(link);
+    paragraph.appendChild(document.createTextNode(" "));
+  });
+
+  content.appendChild(paragraph);
+
+}
+
+function setupForm() {
+
+  var form  = document.createElement("form");
+
+  // added to the alerts about articles that haven't been validated
+  var checkMarkInfo = "An article has been validated when there is check mark displayed beside it.";
+
+  var ArticleSelectDiv1 = document.createElement("div");
+  var ArticleSelectDiv2 = document.createElement("div");
+  var startArticleSelect = new ArticleSelect(ArticleSelectDiv1, "Start Article");
+  var endArticleSelect = new ArticleSelect(ArticleSelectDiv2, "End Article");
+
+  // waypoints go between the start and the end, forbidden articles after them
+  var waypointsDiv = document.createElement("div");
+  var forbiddenDiv = document.createElement("div");
+  var waypointSelects = [];
+  var forbiddenSelects = [];
+
+  var constraintsParagraph = document.createElement("p");
+  constraintsParagraph.className = "text-center";
+  constraintsParagraph.appendChild(createJSLink("add waypoint", addWaypointSelect));
+  constraintsParagraph.appendChild(document.createTextNode(" \u00B7 "));
+  constraintsParagraph.appendChild(createJSLink("add article to avoid", addForbiddenSelect));
+
+  function addWaypointSelect() {
+    var articleSelect = addArticleSelectToList(waypointsDiv, waypointSelects, "Waypoint");
+    articleSelect.onWikiSwitch = switchWiki("via");
+    return articleSelect;
+  }
+
+  function addForbiddenSelect() {
+    var articleSelect = addArticleSelectToList(forbiddenDiv, forbiddenSelects, "Avoid Article");
+    articleSelect.onWikiSwitch = switchWiki("avoid");
+    return articleSelect;
+  }
+
+  // switching the wiki of the form starts over with the pasted article filled
+  // in, given as the permalink parameter of its select
+  function switchWiki(parameter) {
+    return function(hostname, title) {
+      var parameters = { mw: hostname };
+      parameters[parameter] = title;
+      history.pushState({}, "", encodeQuerystring(parameters));
+      resetPage();
+    };
+  }
+
+  startArticleSelect.onWikiSwitch = switchWiki("from");
+  endArticleSelect.onWikiSwitch = switchWiki("to");
+
+  // on a Wikipedia, the end article may be on the Wikipedia of another language
+  var endWikiSelect = undefined;
+  var wikiChoices = {};
+  var wikipediaMatch = WIKIPEDIA_HOSTNAME_REGEX.exec(mediaWikiAPI.hostname);
+  if (wikipediaMatch) {
+    if (!(wikipediaMatch[1] in WIKIPEDIA_LANGUAGES))
+      wikiChoices[mediaWikiAPI.hostname] = wikipediaMatch[1];
+    Object.keys(WIKIPEDIA_LANGUAGES).forEach(function(key) {
+      wikiChoices[key + ".wikipedia.org"] = WIKIPEDIA_LANGUAGES[key][0];
+    });
+    endWikiSelect = createLabelledSelect("Wikipedia of the end article", wikiChoices);
+    endWikiSelect.value = mediaWikiAPI.hostname;
+    endWikiSelect.onchange = function() {
+      var api = getWikiAPI(endWikiSelect.value);
+      api.validate().then(function() {
+        endArticleSelect.setAPI(api);
+      }, function(error) {
+        alert(error.message);
+        endWikiSelect.value = endArticleSelect.api.hostname;
+      });
+    };
+
+    // the end article alone can switch to another Wikipedia, where the select
+    // checks the pasted URL again
+    endArticleSelect.onWikiSwitch = function(hostname, title) {
+      if (!(hostname in wikiChoices)) {
+        switchWiki("to")(hostname, title);
+        return;
+      }
+      endWikiSelect.value = hostname;
+      endWikiSelect.onchange();
+    };
+  }
+
+  var submitButton = document.createElement("input");
+  submitButton.className = "form-button";
+  submitButton.type = "submit";
+  submitButton.value = "Go";
+
+  // the player can look for the path instead of the solver
+  var playParagraph = document.createElement("p");
+  playParagraph.className = "text-center";
+  playParagraph.appendChild(createJSLink("play it yourself", function() {
+
+    if (!startArticleSelect.validatedTitle || !endArticleSelect.validatedTitle)
+      alert("Both the start article and the end article must be validated to play! " + checkMarkInfo);
+    else if (endArticleSelect.api !== mediaWikiAPI)
+      alert("The end article must be on the same wiki as the start article to play!");
+    else if (startArticleSelect.validatedTitle == endArticleSelect.validatedTitle)
+      alert("The start article and the end article must be different!");
+    else if (waypointSelects.length > 0 || forbiddenSelects.length > 0)
+      alert("Waypoints and articles to avoid can't be used when playing!");
+    else
+      setupPlay(startArticleSelect.validatedTitle, endArticleSelect.validatedTitle, {
+        includeInfoboxes: infoboxInput.checked
+      });
+
+  }));
+
+  // search options are tucked away until asked for
+  var optionsDiv = document.createElement("div");
+  optionsDiv.style.display = "none";
+  var exactInput = createLabelledInput("Guarantee the shortest path (slower)", "checkbox", false);
+  var pathCountInput = createLabelledInput("Number of paths to find", "number", 1);
+  pathCountInput.min = 1;
+  var allShortestInput = createLabelledInput("Find every shortest path (slower)", "checkbox", false);
+  var bodyOnlyInput = createLabelledInput("Only follow links in the article text", "checkbox", false);
+  var infoboxInput = createLabelledInput("Count infobox links as article text", "checkbox", false);
+  var disambiguationInput = createLabelledInput("Skip disambiguation pages", "checkbox", false);
+  var titlePatternInput = createLabelledInput("Skip titles matching", "text", "");
+  titlePatternInput.placeholder = DEFAULT_TITLE_FILTER;
+  var maxLinksInput = createLabelledInput("Skip pages with more links than (0 for no limit)", "number", 0);
+  maxLinksInput.min = 0;
+  var maxRequestsInput = createLabelledInput("Give up after this many requests (0 for no limit)", "number", 0);
+  maxRequestsInput.min = 0;
+  var maxTimeInput = createLabelledInput("Give up after this many seconds (0 for no limit)", "number", 0);
+  maxTimeInput.min = 0;
+  var maxArticlesInput = createLabelledInput("Give up after considering this many articles (0 for no limit)", "number", 0);
+  maxArticlesInput.min = 0;
+  optionsDiv.appendChild(exactInput.parentNode);
+  optionsDiv.appendChild(pathCountInput.parentNode);
+  optionsDiv.appendChild(allShortestInput.parentNode);
+  // the text of articles can't be read in every browser
+  if (HTML_PARSING_SUPPORTED) {
+    optionsDiv.appendChild(bodyOnlyInput.parentNode);
+    optionsDiv.appendChild(infoboxInput.parentNode);
+  }
+  optionsDiv.appendChild(disambiguationInput.parentNode);
+  optionsDiv.appendChild(titlePatternInput.parentNode);
+  optionsDiv.appendChild(maxLinksInput.parentNode);
+  optionsDiv.appendChild(maxRequestsInput.parentNode);
+  optionsDiv.appendChild(maxTimeInput.parentNode);
+  optionsDiv.appendChild(maxArticlesInput.parentNode);
+
+  var optionsParagraph = document.createElement("p");
+  optionsParagraph.className = "text-center";
+  var optionsLink = createJSLink("show options", function() {
+    var hidden = optionsDiv.style.display == "none";
+    optionsDiv.style.display = hidden ? "" : "none";
+    optionsLink.innerText = hidden ? "hide options" : "show options";
+  });
+  optionsParagraph.appendChild(optionsLink);
+
+  form.appendChild(ArticleSelectDiv1);
+  form.appendChild(waypointsDiv);
+  form.appendChild(ArticleSelectDiv2);
+  if (endWikiSelect)
+    form.appendChild(endWikiSelect.parentNode);
+  form.appendChild(forbiddenDiv);
+  form.appendChild(constraintsParagraph);
+  form.appendChild(optionsParagraph);
+  form.appendChild(optionsDiv);
+  form.appendChild(submitButton);
+  if (HTML_PARSING_SUPPORTED)
+    form.appendChild(playParagraph);
+
+  var howItWorksParagraph = document.createElement("p");
+  howItWorksParagraph.className = "text-center";
+  var howItWorksLink = document.createElement("a");
+  howItWorksLink.target = "_blank";
+  howItWorksLink.innerHTML = "how it works";
+  howItWorksLink.href = "https://github.com/luctowers/wikimash/blob/master/readme.md#how-it-works";
+  howItWorksParagraph.appendChild(howItWorksLink);
+
+  var codeLinkParagraph = document.createElement("p");
+  codeLinkParagraph.className = "text-center";
+  var codeLink = document.createElement("a");
+  codeLink.target = "_blank";
+  codeLink.innerHTML = "code on github";
+  codeLink.href = "https://github.com/luctowers/wikimash";
+  codeLinkParagraph.appendChild(codeLink);
+
+  var toolsParagraph = document.createElement("p");
+  toolsParagraph.className = "text-center";
+  toolsParagraph.appendChild(createJSLink("link cache", function() {
+    history.pushState({}, "", "#linkcache");
+    resetPage();
+  }));
+  toolsParagraph.appendChild(document.createTextNode(" \u00B7 "));
+  toolsParagraph.appendChild(createJSLink("record & replay", function() {
+    history.pushState({}, "", "#transport");
+    resetPage();
+  }));
+  toolsParagraph.appendChild(document.createTextNode(" \u00B7 "));
+  toolsParagraph.appendChild(createJSLink("batch solve", function() {
+    history.pushState({}, "", "#batch");
+    resetPage();
+  }));
+  toolsParagraph.appendChild(document.createTextNode(" \u00B7 "));
+  toolsParagraph.appendChild(createJSLink("benchmark", function() {
+    history.pushState({}, "", "#benchmark");
+    resetPage();
+  }));
+
+  // resuming needs a saved search chosen by the user
+  var resumeInput = document.createElement("input");
+  resumeInput.type = "file";
+  resumeInput.accept = ".json,.gz,application/json,application/gzip";
+  resumeInput.style.display = "none";
+  resumeInput.onchange = function() {
+    if (!resumeInput.files || resumeInput.files.length == 0)
+      return;
+    readPossiblyCompressedFile(resumeInput.files[0]).then(resumeSolveState).then(undefined, function(error) {
+      alert("Failed to resume the search: " + error.message);
+    });
+  };
+  toolsParagraph.appendChild(document.createTextNode(" \u00B7 "));
+  toolsParagraph.appendChild(createJSLink("resume a saved search", function() {
+    resumeInput.click();
+  }));
+  toolsParagraph.appendChild(resumeInput);
+
+  content.appendChild(form);
+  content.appendChild(toolsParagraph);
+  content.appendChild(howItWorksParagraph);
+  content.appendChild(codeLinkParagraph);
+
+  form.onsubmit = function() {
+
+    function validatedTitles(selects) {
+      return selects.map(function(select) {
+        return select.validatedTitle;
+      });
+    }
+
+    // an end article on another wiki can share a title with the other articles
+    var crossLanguage = endArticleSelect.api !== mediaWikiAPI;
+
+    var waypoints = validatedTitles(waypointSelects);
+    var forbidden = validatedTitles(forbiddenSelects);
+    var visitedTitles = [startArticleSelect.validatedTitle].concat(
+      waypoints, crossLanguage ? [] : [endArticleSelect.validatedTitle]
+    );
+
+    if (!startArticleSelect.validatedTitle && !endArticleSelect.validatedTitle)
+      alert("Both the start article and the end article have not been validated! " + checkMarkInfo);
+    else if (!crossLanguage && startArticleSelect.validatedTitle == endArticleSelect.validatedTitle)
+      alert("The start article and the end article must be different!");
+    else if (!startArticleSelect.validatedTitle)
+      alert("The start article has not been validated! " + checkMarkInfo);
+    else if (!endArticleSelect.validatedTitle)
+      alert("The end article has not been validated! " +  checkMarkInfo);
+    else if (waypoints.indexOf(undefined) != -1)
+      alert("A waypoint has not been validated! " + checkMarkInfo);
+    else if (forbidden.indexOf(undefined) != -1)
+      alert("An article to avoid has not been validated! " + checkMarkInfo);
+    else if (visitedTitles.some(function(title, index) { return visitedTitles.indexOf(title) != index; }))
+      alert("The start article, the waypoints and the end article must all be different!");
+    else if (forbidden.some(function(title) { return visitedTitles.indexOf(title) != -1; }))
+      alert("An article to avoid can't also be the start article, a waypoint or the end article!");
+    else if (!(parseInt(pathCountInput.value, 10) >= 1))
+      alert("The number of paths to find must be at least 1!");
+    else if (waypoints.length > 0 && (parseInt(pathCountInput.value, 10) > 1 || allShortestInput.checked))
+      alert("Several paths can't be found when there are waypoints!");
+    else if (bodyOnlyInput.checked && !HTML_PARSING_SUPPORTED)
+      alert("This browser can't read the text of articles, so it can't only follow links in the article text!");
+    else if (bodyOnlyInput.checked && (exactInput.checked || allShortestInput.checked))
+      alert("The shortest path can't be guaranteed when only links in the article text are followed!");
+    else if (!isValidPattern(titlePatternInput.value))
+      alert("The pattern of titles to skip is not a valid regular expression!");
+    else if (!(parseInt(maxLinksInput.value, 10) >= 0))
+      alert("The link limit must be a number that is 0 or more!");
+    else if ([maxRequestsInput, maxTimeInput, maxArticlesInput].some(function(input) { return !(parseInt(input.value, 10) >= 0); }))
+      alert("The limits on requests, time and articles must be numbers that are 0 or more!");
+    else
+      setupSolve(startArticleSelect.validatedTitle, endArticleSelect.validatedTitle, {
+        exact: exactInput.checked,
+        pathCount: parseInt(pathCountInput.value, 10),
+        allShortest: allShortestInput.checked,
+        bodyOnly: bodyOnlyInput.checked,
+        includeInfoboxes: infoboxInput.checked,
+        waypoints: waypoints,
+        forbidden: forbidden,
+        endHostname: crossLanguage ? endArticleSelect.api.hostname : undefined,
+        filters: {
+          disambiguation: disambiguationInput.checked,
+          titlePattern: titlePatternInput.value,
+          maxLinks: parseInt(maxLinksInput.value, 10)
+        },
+        budget: {
+          maxRequests: parseInt(maxRequestsInput.value, 10),
+          maxTime: parseInt(maxTimeInput.value, 10),
+          maxArticles: parseInt(maxArticlesInput.value, 10)
+        }
+      });
+
+    return false;
+
+  }
+
+  // a permalink fills in the form and starts its solve straight away, while a
+  // link to only some of the articles just fills them in
+  if (query.from && query.to)
+    startPermalink(parsePermalink(query));
+  else if (query.from || query.to || query.via || query.avoid)
+    fillForm(parsePermalink(query)).then(undefined, function(error) {
+      alert("The linked articles could not be filled in: " + error.message);
+    });
+
+  function startPermalink(permalink) {
+
+    fillForm(permalink).then(function() {
+      // the page may have moved on while the titles were checked
+      if (!form.parentNode)
+        return;
+      history.replaceState({ permalink: true }, "", window.location.href);
+      form.onsubmit();
+    }, function(error) {
+      alert("The linked solve could not be started: " + error.message);
+    });
+
+  }
+
+  function fillForm(permalink) {
+
+    exactInput.checked = permalink.exact;
+    pathCountInput.value = permalink.pathCount;
+    allShortestInput.checked = permalink.allShortest;
+    bodyOnlyInput.checked = permalink.bodyOnly;
+    infoboxInput.checked = permalink.includeInfoboxes;
+    disambiguationInput.checked = permalink.disambiguation;
+    titlePatternInput.value = permalink.titlePattern;
+    maxLinksInput.value = permalink.maxLinks;
+    maxRequestsInput.value = permalink.maxRequests;
+    maxTimeInput.value = permalink.maxTime;
+    maxArticlesInput.value = permalink.maxArticles;
+
+    var selects = [];
+    var titles = [];
+    if (permalink.start) {
+      selects.push(startArticleSelect);
+      titles.push(permalink.start);
+    }
+    if (permalink.end) {
+      selects.push(endArticleSelect);
+      titles.push(permalink.end);
+    }
+    permalink.waypoints.forEach(function(title) {
+      selects.push(addWaypointSelect());
+      titles.push(title);
+    });
+    permalink.forbidden.forEach(function(title) {
+      selects.push(addForbiddenSelect());
+      titles.push(title);
+    });
+
+    var endWikiPromise = instantPromise();
+    if (permalink.endHostname && endWikiSelect && permalink.endHostname != mediaWikiAPI.hostname) {
+      var endAPI = getWikiAPI(permalink.endHostname);
+      endWikiSelect.value = permalink.endHostname;
+      endWikiPromise = endAPI.validate().then(function() {
+        endArticleSelect.setAPI(endAPI);
+      });
+    }
+
+    return endWikiPromise.then(function() {
+      return Promise.all(selects.map(function(select, index) {
+        return select.setTitle(titles[index]);
+      }));
+    });
+
+  }
+
+}
+
+/**
+ * Adds a removable article select to a growing list of them.
+ * @param {HTMLElement} listDiv - The element holding the list.
+ * @param {ArticleSelect[]} selects - The selects in the list, in order.
+ * @param {string} title - The label of the new select.
+ * @returns {ArticleSelect} The new select.
+ */
+function addArticleSelectToList(listDiv, selects, title) {
+
+  var itemDiv = document.createElement("div");
+  var selectDiv = document.createElement("div");
+  var articleSelect = new ArticleSelect(selectDiv, title);
+
+  var removeParagraph = document.createElement("p");
+  removeParagraph.className = "text-center";
+  removeParagraph.appendChild(createJSLink("remove", function() {
+    selects.splice(selects.indexOf(articleSelect), 1);
+    listDiv.removeChild(itemDiv);
+  }));
+
+  itemDiv.appendChild(selectDiv);
+  itemDiv.appendChild(removeParagraph);
+  listDiv.appendChild(itemDiv);
+  selects.push(articleSelect);
+
+  return articleSelect;
+
+}
+
+/**
+ * Creates a labelled input for use in settings forms.
+ * @param {string} labelText - The text displayed beside the input.
+ * @param {string} type - The type of the input (eg. "number", "checkbox").
+ * @param {string|boolean} value - The initial value, or checked state.
+ * @returns {HTMLInputElement} The input, whose 'parentNode' is the label.
+ */
+function createLabelledInput(labelText, type, value) {
+
+  var label = document.createElement("label");
+  label.className = "form-row";
+
+  var labelSpan = document.createElement("span");
+  labelSpan.innerText = labelText;
+
+  var input = document.createElement("input");
+  input.type = type;
+  input.className = "form-input";
+  if (type == "checkbox")
+    input.checked = value;
+  else
+    input.value = value;
+
+  label.appendChild(labelSpan);
+  label.appendChild(input);
+
+  return input;
+
+}
+
+/**
+ * Creates a labelled drop-down list for use in settings forms.
+ * @param {string} labelText - The text displayed beside the list.
+ * @param {Object.<string,string>} choices - The text of each choice, keyed by
+ *   its value, in the order they are listed.
+ * @returns {HTMLSelectElement} The list, whose 'parentNode' is the label.
+ */
+function createLabelledSelect(labelText, choices) {
+
+  var label = document.createElement("label");
+  label.className = "form-row";
+
+  var labelSpan = document.createElement("span");
+  labelSpan.innerText = labelText;
+
+  var select = document.createElement("select");
+  select.className = "form-input";
+  Object.keys(choices).forEach(function(value) {
+    var option = document.createElement("option");
+    option.value = value;
+    option.innerText = choices[value];
+    select.appendChild(option);
+  });
+
+  label.appendChild(labelSpan);
+  label.appendChild(select);
+
+  return select;
+
+}
+
+function setupLinkCacheView() {
+
+  var hostname = autoWikipediaHostname();
+  var hourInMs = 60 * 60 * 1000;
+
+  var heading = document.createElement("p");
+  heading.className = "text-center";
+  heading.innerText = "Link Cache";
+
+  var statsParagraph = document.createElement("p");
+  statsParagraph.className = "text-center text-muted";
+  statsParagraph.innerText = "Reading cache ...";
+
+  // settings form
+  var form = document.createElement("form");
+  var enabledInput = createLabelledInput("Cache links and backlinks", "checkbox", linkCache.settings.enabled);
+  var ttlInput = createLabelledInput("Keep entries for (hours)", "number", linkCache.settings.ttl / hourInMs);
+  var maxEntriesInput = createLabelledInput("Maximum entries", "number", linkCache.settings.maxEntries);
+  ttlInput.min = 0;
+  maxEntriesInput.min = 0;
+
+  var saveButton = document.createElement("input");
+  saveButton.className = "form-button";
+  saveButton.type = "submit";
+  saveButton.value = "Save Settings";
+
+  form.appendChild(enabledInput.parentNode);
+  form.appendChild(ttlInput.parentNode);
+  form.appendChild(maxEntriesInput.parentNode);
+  form.appendChild(saveButton);
+
+  var actionsParagraph = document.createElement("p");
+  actionsParagraph.className = "text-center";
+
+  function showStats() {
+
+    if (!linkCache.supported()) {
+      statsParagraph.className = "text-center text-error";
+      statsParagraph.innerText = "This browser does not support IndexedDB, so nothing can be cached.";
+      return;
+    }
+
+    linkCache.stats().then(function(stats) {
+      var lines = [
+        stats.count + " cached articles (" + (stats.size / 1048576).toFixed(1) + " MB), " +
+        stats.expired + " expired"
+      ];
+      Object.keys(stats.hostnames).forEach(function(host) {
+        lines.push(host + ": " + stats.hostnames[host]);
+      });
+      statsParagraph.innerText = lines.join("\n");
+    }, function(error) {
+      statsParagraph.className = "text-center text-error";
+      statsParagraph.innerText = "Failed to read the cache: " + error.message;
+    });
+
+  }
+
+  function clearEntries(clearHostname) {
+    statsParagraph.innerText = "Clearing cache ...";
+    linkCache.clear(clearHostname).then(showStats, showStats);
+  }
+
+  actionsParagraph.appendChild(createJSLink("clear " + hostname, function() {
+    clearEntries(hostname);
+  }));
+  actionsParagraph.appendChild(document.createTextNode(" \u00B7 "));
+  actionsParagraph.appendChild(createJSLink("clear everything", function() {
+    clearEntries();
+  }));
+  actionsParagraph.appendChild(document.createElement("br"));
+  actionsParagraph.appendChild(createJSLink("back", function() {
+    history.pushState({}, "", "#");
+    resetPage();
+  }));
+
+  form.onsubmit = function() {
+
+    var ttlHours = parseFloat(ttlInput.value);
+    var maxEntries = parseInt(maxEntriesInput.value, 10);
+
+    if (isNaN(ttlHours) || ttlHours < 0 || isNaN(maxEntries) || maxEntries < 0) {
+      alert("The cache settings must be numbers of zero or more!");
+      return false;
+    }
+
+    linkCache.saveSettings({
+      enabled: enabledInput.checked,
+      ttl: ttlHours * hourInMs,
+      maxEntries: maxEntries
+    });
+
+    // apply the new limits straight away
+    statsParagraph.innerText = "Applying settings ...";
+    linkCache.trim().then(showStats, showStats);
+
+    return false;
+
+  };
+
+  content.appendChild(heading);
+  content.appendChild(statsParagraph);
+  content.appendChild(form);
+  content.appendChild(actionsParagraph);
+
+  showStats();
+
+}
+
+/**
+ * Creates a paragraph with a link to download the current recording.
+ * @returns {HTMLParagraphElement} The paragraph, or undefined if the current
+ *   transport is not recording.
+ */
+function createRecordingParagraph() {
+
+  if (!(transport instanceof RecordingTransport))
+    return undefined;
+
+  var paragraph = document.createElement("p");
+  paragraph.className = "text-center";
+  var recording = transport;
+  paragraph.appendChild(createJSLink("download recording (" + recording.entries.length + " requests)", function() {
+    downloadFile("wikimash-recording.json", recording.serialize(), "application/json");
+  }));
+
+  return paragraph;
+
+}
+
+function setupTransportView() {
+
+  var heading = document.createElement("p");
+  heading.className = "text-center";
+  heading.innerText = "Record & Replay";
+
+  var modeParagraph = document.createElement("p");
+  modeParagraph.className = "text-center text-muted";
+  if (transport instanceof RecordingTransport)
+    modeParagraph.innerText = "Every request of the next solve will be recorded.";
+  else if (transport instanceof ReplayTransport)
+    modeParagraph.innerText =
+      "Replaying " + transport.entries.length + " requests to " + transport.meta.hostname +
+      " recorded on " + transport.meta.created + ".";
+  else
+    modeParagraph.innerText = "Requests are made to the live wiki.";
+
+  var actionsParagraph = document.createElement("p");
+  actionsParagraph.className = "text-center";
+
+  function changeTransport(newTransport) {
+    transport = newTransport;
+    resetPage();
+  }
+
+  if (!(transport instanceof LiveTransport))
+    actionsParagraph.appendChild(createJSLink("use the live wiki", function() {
+      changeTransport(new LiveTransport());
+    }));
+  else
+    actionsParagraph.appendChild(createJSLink("record the next solve", function() {
+      changeTransport(new RecordingTransport(transport));
+    }));
+
+  // replaying needs a recording file chosen by the user
+  var fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = ".json,application/json";
+  fileInput.style.display = "none";
+  fileInput.onchange = function() {
+    if (!fileInput.files || fileInput.files.length == 0)
+      return;
+    readFile(fileInput.files[0]).then(function(text) {
+      changeTransport(new ReplayTransport(text));
+    }).then(undefined, function(error) {
+      alert("Failed to load recording: " + error.message);
+    });
+  };
+  actionsParagraph.appendChild(document.createElement("br"));
+  actionsParagraph.appendChild(createJSLink("replay a recording", function() {
+    fileInput.click();
+  }));
+  actionsParagraph.appendChild(fileInput);
+
+  content.appendChild(heading);
+  content.appendChild(modeParagraph);
+  content.appendChild(actionsParagraph);
+
+  if (transport instanceof ReplayTransport && transport.meta.start) {
+
+    var replayButton = document.createElement("button");
+    replayButton.type = "button";
+    replayButton.className = "form-button";
+    replayButton.innerText = "Replay " + transport.meta.start + " \u21D2 " + transport.meta.end;
+    replayButton.onclick = function() {
+      // the recording only holds the solve, so its wiki is trusted as is
+      mediaWikiAPI = new MediaWikiAPI(transport.meta.hostname);
+      mediaWikiAPI.validated = true;
+      mediaWikiAPI.server = transport.meta.server;
+      randomArticleFetcher = new RandomArticleFetcher();
+      setupSolve(transport.meta.start, transport.meta.end, transport.meta.options);
+    };
+    content.appendChild(replayButton);
+
+  }
+
+  var recordingParagraph = createRecordingParagraph();
+  if (recordingParagraph && transport.entries.length > 0)
+    content.appendChild(recordingParagraph);
+
+  var backParagraph = document.createElement("p");
+  backParagraph.className = "text-center";
+  backParagraph.appendChild(createJSLink("back", function() {
+    history.pushState({}, "", "#");
+    resetPage();
+  }));
+  content.appendChild(backParagraph);
+
+}
+
+/**
+ * Reads the pairs of articles to solve in a batch from CSV text, skipping a
+ * header row that names the start and end columns.
+ * @param {string} text - One pair per row, the start article first.
+ * @returns {Object[]} The 'start' and 'end' title of each pair.
+ * @throws {Error} If a row does not hold two different titles.
+ */
+function parseBatchPairs(text) {
+
+  var rows = parseCSV(text);
+
+  if (rows.length > 0 && rows[0].length >= 2 &&
+    rows[0][0].trim().toLowerCase() == "start" && rows[0][1].trim().toLowerCase() == "end")
+    rows.shift();
+
+  return rows.map(function(row, index) {
+
+    var start = (row[0] || "").trim();
+    var end = (row[1] || "").trim();
+
+    if (!start || !end)
+      throw new Error("Row " + (index + 1) + " does not have both a start and an end article.");
+    if (start == end)
+      throw new Error("Row " + (index + 1) + " has the same start and end article.");
+
+    return { start: start, end: end };
+
+  });
+
+}
+
+function setupBatchView() {
+
+  var heading = document.createElement("p");
+  heading.className = "text-center";
+  heading.innerText = "Batch Solve";
+
+  var infoParagraph = document.createElement("p");
+  infoParagraph.className = "text-center text-muted";
+  infoParagraph.innerText =
+    "List one pair of articles per line, the start article first, separated by a comma as in a CSV file. " +
+    "The pairs are solved one after another.";
+
+  // settings form
+  var form = document.createElement("form");
+
+  var pairsInput = document.createElement("textarea");
+  pairsInput.className = "form-textarea";
+  pairsInput.rows = 8;
+  pairsInput.placeholder = "start,end\nHydrogen,Penguin\nStar,Ocean";
+
+  var exactInput = createLabelledInput("Guarantee the shortest paths", "checkbox", false);
+  var maxRequestsInput = createLabelledInput("Give up on a pair after (requests, 0 for never)", "number", 0);
+  maxRequestsInput.min = 0;
+
+  var runButton = document.createElement("input");
+  runButton.className = "form-button";
+  runButton.type = "submit";
+  runButton.value = "Solve All";
+
+  form.appendChild(pairsInput);
+  form.appendChild(exactInput.parentNode);
+  form.appendChild(maxRequestsInput.parentNode);
+  form.appendChild(runButton);
+
+  // pairs can also be loaded from a CSV file chosen by the user
+  var fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = ".csv,.txt,text/csv,text/plain";
+  fileInput.style.display = "none";
+  fileInput.onchange = function() {
+    if (!fileInput.files || fileInput.files.length == 0)
+      return;
+    readFile(fileInput.files[0]).then(function(text) {
+      pairsInput.value = text;
+    }, function(error) {
+      alert("Failed to load the pairs: " + error.message);
+    });
+  };
+
+  var actionsParagraph = document.createElement("p");
+  actionsParagraph.className = "text-center";
+  actionsParagraph.appendChild(createJSLink("load a CSV file", function() {
+    fileInput.click();
+  }));
+  actionsParagraph.appendChild(fileInput);
+  actionsParagraph.appendChild(document.createElement("br"));
+  actionsParagraph.appendChild(createJSLink("back", function() {
+    history.pushState({}, "", "#");
+    resetPage();
+  }));
+
+  var statusParagraph = document.createElement("p");
+  statusParagraph.className = "text-center text-muted";
+
+  var table = document.createElement("table");
+  table.className = "batch-table";
+
+  var exportParagraph = document.createElement("p");
+  exportParagraph.className = "text-center";
+
+  content.appendChild(heading);
+  content.appendChild(infoParagraph);
+  content.appendChild(form);
+  content.appendChild(actionsParagraph);
+  content.appendChild(statusParagraph);
+  content.appendChild(table);
+  content.appendChild(exportParagraph);
+
+  var columns = ["#", "Start", "End", "Status", "Path", "Clicks", "Requests", "Time"];
+  var results = [];
+  var cancelToken;
+
+  function pathText(result) {
+    return result.path ? result.path.join(" \u21D2 ") : "";
+  }
+
+  function seconds(result) {
+    return result.time === undefined ? undefined : (result.time / 1000).toFixed(1);
+  }
+
+  function renderRow(result, row) {
+
+    var values = [
+      result.index + 1, result.start, result.end, result.status, pathText(result),
+      result.clicks, result.requests, result.time === undefined ? undefined : seconds(result) + " s"
+    ];
+
+    while (row.cells.length > 0)
+      row.deleteCell(0);
+    values.forEach(function(value) {
+      var cell = row.insertCell(-1);
+      cell.innerText = value === undefined ? "" : value;
+    });
+
+    if (result.status == "error" || result.status == "no path")
+      row.className = "text-error";
+    else if (result.status == "waiting" || result.status == "stopped")
+      row.className = "text-muted";
+    else
+      row.className = "";
+
+  }
+
+  function renderTable() {
+
+    clearTable(table);
+
+    var headRow = table.insertRow(-1);
+    columns.forEach(function(column) {
+      var cell = document.createElement("th");
+      cell.innerText = column;
+      headRow.appendChild(cell);
+    });
+
+    results.forEach(function(result) {
+      result.row = table.insertRow(-1);
+      renderRow(result, result.row);
+    });
+
+  }
+
+  function exportRows() {
+    return results.map(function(result) {
+      return {
+        start: result.start,
+        end: result.end,
+        status: result.status,
+        path: result.path,
+        clicks: result.clicks,
+        shortest: result.shortest,
+        requests: result.requests,
+        time: result.time,
+        error: result.error
+      };
+    });
+  }
+
+  function showExportLinks() {
+
+    exportParagraph.innerHTML = "";
+    exportParagraph.appendChild(createJSLink("download CSV", function() {
+      var rows = [["start", "end", "status", "path", "clicks", "shortest", "requests", "seconds"]];
+      results.forEach(function(result) {
+        rows.push([
+          result.start, result.end, result.status, pathText(result), result.clicks,
+          result.shortest === undefined ? undefined : String(result.shortest), result.requests, seconds(result)
+        ]);
+      });
+      downloadFile("wikimash-batch.csv", formatCSV(rows), "text/csv");
+    }));
+    exportParagraph.appendChild(document.createTextNode(" \u00B7 "));
+    exportParagraph.appendChild(createJSLink("download JSON", function() {
+      downloadFile("wikimash-batch.json", JSON.stringify(exportRows(), null, 2), "application/json");
+    }));
+
+  }
+
+  function onFinish() {
+
+    if (activeCancelToken === cancelToken)
+      activeCancelToken = undefined;
+
+    var solved = results.filter(function(result) {
+      return result.status == "solved";
+    }).length;
+    statusParagraph.innerText = (cancelToken.cancelled ? "Stopped. " : "Done. ") +
+      solved + " of " + results.length + " pairs were solved.";
+    runButton.disabled = false;
+    showExportLinks();
+
+  }
+
+  function solveNext(index) {
+
+    if (index == results.length || cancelToken.cancelled) {
+      onFinish();
+      return;
+    }
+
+    var result = results[index];
+    var startRequests = totalRequestCount();
+    var startTime = new Date().getTime();
+
+    statusParagraph.innerText = "Solving pair " + (index + 1) + " of " + results.length + " ... ";
+    statusParagraph.appendChild(createJSLink("stop", function() {
+      cancelToken.cancel();
+    }));
+    result.status = "solving";
+    renderRow(result, result.row);
+
+    function progressCallback(forwardTree, backwardTree) {
+      result.status = "solving (" + (forwardTree.size + backwardTree.size) + " articles)";
+      renderRow(result, result.row);
+    }
+
+    wikigameSolveSegments([result.start, result.end], progressCallback, cancelToken, {
+      exact: exactInput.checked,
+      budget: { maxRequests: parseInt(maxRequestsInput.value, 10) }
+    }).then(function(solve) {
+      result.status = "solved";
+      result.path = solve.path.map(function(step) {
+        return step.title;
+      });
+      result.clicks = solve.path.length - 1;
+      result.shortest = solve.shortest;
+    }, function(error) {
+      if (error.cancelled)
+        result.status = "stopped";
+      else if (error.budgetExhausted)
+        result.status = "gave up";
+      else if (error.deadEnd && (mediaWikiAPI.isMissing(result.start) || mediaWikiAPI.isMissing(result.end))) {
+        result.status = "error";
+        result.error = "The article does not exist.";
+      }
+      else if (error.deadEnd)
+        result.status = "no path";
+      else {
+        result.status = "error";
+        result.error = error.message;
+      }
+    }).then(function() {
+      result.requests = totalRequestCount() - startRequests;
+      result.time = new Date().getTime() - startTime;
+      renderRow(result, result.row);
+      solveNext(index + 1);
+    });
+
+  }
+
+  form.onsubmit = function() {
+
+    var pairs;
+    try {
+      pairs = parseBatchPairs(pairsInput.value);
+    }
+    catch (error) {
+      alert(error.message);
+      return false;
+    }
+
+    if (pairs.length == 0)
+      alert("There are no pairs of articles to solve!");
+    else if (!(parseInt(maxRequestsInput.value, 10) >= 0))
+      alert("The request limit must be a number that is 0 or more!");
+    else {
+
+      results = pairs.map(function(pair, index) {
+        return { index: index, start: pair.start, end: pair.end, status: "waiting" };
+      });
+      renderTable();
+      exportParagraph.innerHTML = "";
+      runButton.disabled = true;
+
+      if (activeCancelToken)
+        activeCancelToken.cancel();
+      cancelToken = new CancelToken();
+      activeCancelToken = cancelToken;
+
+      solveNext(0);
+
+    }
+
+    return false;
+
+  };
+
+}
+
+/**
+ * Replaces the rows of a table.
+ * @param {HTMLTableElement} table - The table to fill.
+ * @param {string[]} columns - The text of each header cell.
+ * @param {Array<Array<string|number>>} rows - The values of each row, with
+ *   undefined values left blank.
+ */
+function fillTable(table, columns, rows) {
+
+  clearTable(table);
+
+  [columns].concat(rows).forEach(function(values, index) {
+    var row = table.insertRow(-1);
+    values.forEach(function(value) {
+      var cell = index == 0 ? row.appendChild(document.createElement("th")) : row.insertCell(-1);
+      cell.innerText = value === undefined ? "" : value;
+    });
+  });
+
+}
+
+function setupBenchmarkView() {
+
+  var heading = document.createElement("p");
+  heading.className = "text-center";
+  heading.innerText = "Benchmark";
+
+  var infoParagraph = document.createElement("p");
+  infoParagraph.className = "text-center text-muted";
+  infoParagraph.innerText =
+    "Solves random pairs of articles under each parameter set to compare the requests they take. " +
+    "The pairing seed only decides how the random articles drawn are paired, not which are drawn. " +
+    "A live wiki draws different random articles every time, so the pairs drawn are filled in below, " +
+    "where they can be kept to solve them again.";
+
+  // settings form
+  var form = document.createElement("form");
+  var pairCountInput = createLabelledInput("Pairs of articles", "number", 10);
+  var seedInput = createLabelledInput("Pairing seed", "number", 1);
+  var maxRequestsInput = createLabelledInput("Give up on a run after (requests, 0 for never)", "number", 500);
+  pairCountInput.min = 1;
+  maxRequestsInput.min = 0;
+
+  var setsInput = document.createElement("textarea");
+  setsInput.className = "form-textarea";
+  setsInput.rows = 8;
+  setsInput.value = JSON.stringify([
+    { name: "default" },
+    { name: "exact", exact: true },
+    { name: "small batches", tuning: { maxBatchTitles: 20 } }
+  ], null, 2);
+
+  var pairsInput = document.createElement("textarea");
+  pairsInput.className = "form-textarea";
+  pairsInput.rows = 4;
+  pairsInput.value = "";
+
+  var pairsInfo = document.createElement("p");
+  pairsInfo.className = "text-muted";
+  pairsInfo.innerText =
+    "Pairs to solve instead of drawing random ones, as a JSON array of objects with a start and an end " +
+    "title. Leave empty to draw new pairs.";
+
+  var setsInfo = document.createElement("p");
+  setsInfo.className = "text-muted";
+  setsInfo.innerText =
+    "Parameter sets, as a JSON array. Each set has a name, and its other properties are solve options, " +
+    "such as 'exact' or a 'tuning' that overrides " + JSON.stringify(DEFAULT_SEARCH_TUNING) + ".";
+
+  var runButton = document.createElement("input");
+  runButton.className = "form-button";
+  runButton.type = "submit";
+  runButton.value = "Run Benchmark";
+
+  form.appendChild(pairCountInput.parentNode);
+  form.appendChild(seedInput.parentNode);
+  form.appendChild(maxRequestsInput.parentNode);
+  form.appendChild(pairsInfo);
+  form.appendChild(pairsInput);
+  form.appendChild(setsInfo);
+  form.appendChild(setsInput);
+  form.appendChild(runButton);
+
+  var statusParagraph = document.createElement("p");
+  statusParagraph.className = "text-center text-muted";
+
+  var summaryTable = document.createElement("table");
+  summaryTable.className = "batch-table";
+
+  var runsTable = document.createElement("table");
+  runsTable.className = "batch-table";
+
+  var exportParagraph = document.createElement("p");
+  exportParagraph.className = "text-center";
+
+  var backParagraph = document.createElement("p");
+  backParagraph.className = "text-center";
+  backParagraph.appendChild(createJSLink("back", function() {
+    history.pushState({}, "", "#");
+    resetPage();
+  }));
+
+  content.appendChild(heading);
+  content.appendChild(infoParagraph);
+  content.appendChild(form);
+  content.appendChild(statusParagraph);
+  content.appendChild(summaryTable);
+  content.appendChild(runsTable);
+  content.appendChild(exportParagraph);
+  content.appendChild(backParagraph);
+
+  function round(value, digits) {
+    return value === undefined ? undefined : value.toFixed(digits);
+  }
+
+  function showResults(settings, pairs, runs) {
+
+    var summaries = summarizeBenchmark(runs, settings.parameterSets);
+
+    fillTable(summaryTable, [
+      "Set", "Runs", "Failures", "Mean requests", "Median requests", "Mean articles", "Mean clicks", "Mean time"
+    ], summaries.map(function(summary) {
+      return [
+        summary.name, summary.runs, summary.failures, round(summary.meanRequests, 1),
+        summary.medianRequests, round(summary.meanArticles, 0), round(summary.meanClicks, 2),
+        summary.meanTime === undefined ? undefined : round(summary.meanTime / 1000, 1) + " s"
+      ];
+    }));
+
+    fillTable(runsTable, ["#", "Start", "End", "Set", "Status", "Clicks", "Requests", "Articles", "Time"],
+      runs.map(function(run) {
+        return [
+          run.pair + 1, run.start, run.end, run.set, run.status, run.clicks,
+          run.requests, run.articles, round(run.time / 1000, 1) + " s"
+        ];
+      })
+    );
+
+    exportParagraph.innerHTML = "";
+    exportParagraph.appendChild(createJSLink("download JSON", function() {
+      var report = {
+        hostname: mediaWikiAPI.hostname,
+        created: new Date().toISOString(),
+        settings: settings,
+        pairs: pairs,
+        summaries: summaries,
+        runs: runs
+      };
+      downloadFile("wikimash-benchmark.json", JSON.stringify(report, null, 2), "application/json");
+    }));
+    exportParagraph.appendChild(document.createTextNode(" \u00B7 "));
+    exportParagraph.appendChild(createJSLink("download CSV", function() {
+      var rows = [["pair", "start", "end", "set", "status", "clicks", "requests", "articles", "seconds"]];
+      runs.forEach(function(run) {
+        rows.push([
+          run.pair + 1, run.start, run.end, run.set, run.status, run.clicks,
+          run.requests, run.articles, round(run.time / 1000, 1)
+        ]);
+      });
+      downloadFile("wikimash-benchmark.csv", formatCSV(rows), "text/csv");
+    }));
+
+  }
+
+  function startBenchmark(settings) {
+
+    if (activeCancelToken)
+      activeCancelToken.cancel();
+    var cancelToken = new CancelToken();
+    activeCancelToken = cancelToken;
+
+    var runs = [];
+    var totalRuns = settings.pairCount * settings.parameterSets.length;
+    runButton.disabled = true;
+    clearTable(summaryTable);
+    clearTable(runsTable);
+    exportParagraph.innerHTML = "";
+
+    function showStatus(text) {
+      statusParagraph.innerText = text + " ";
+      statusParagraph.appendChild(createJSLink("stop", function() {
+        cancelToken.cancel();
+      }));
+    }
+
+    function onFinish(text) {
+      if (activeCancelToken === cancelToken)
+        activeCancelToken = undefined;
+      runButton.disabled = false;
+      statusParagraph.innerText = text;
+    }
+
+    showStatus(settings.pairs ? "Starting ..." : "Drawing random articles ...");
+
+    runBenchmark(settings, function(pairs, run) {
+      if (run)
+        runs.push(run);
+      else
+        pairsInput.value = JSON.stringify(pairs, null, 2);
+      showResults(settings, pairs, runs);
+      showStatus("Finished " + runs.length + " of " + totalRuns + " runs ...");
+    }, cancelToken).then(function() {
+      onFinish("Finished all " + totalRuns + " runs.");
+    }, function(error) {
+      // the page has already moved on if something else replaced the benchmark
+      if (error.cancelled && activeCancelToken !== cancelToken)
+        return;
+      onFinish(error.cancelled ?
+        "Stopped after " + runs.length + " of " + totalRuns + " runs." :
+        "The benchmark failed: " + error.message);
+    });
+
+  }
+
+  form.onsubmit = function() {
+
+    var parameterSets;
+    try {
+      parameterSets = JSON.parse(setsInput.value);
+    }
+    catch (error) {
+      parameterSets = undefined;
+    }
+
+    var pairs;
+    try {
+      pairs = pairsInput.value.trim() ? JSON.parse(pairsInput.value) : undefined;
+    }
+    catch (error) {
+      pairs = null;
+    }
+
+    var pairCount = parseInt(pairCountInput.value, 10);
+    var seed = parseInt(seedInput.value, 10);
+    var maxRequests = parseInt(maxRequestsInput.value, 10);
+
+    if (pairs !== undefined && (!Array.isArray(pairs) || pairs.length == 0 || pairs.some(function(pair) {
+      return !pair || typeof pair.start != "string" || typeof pair.end != "string";
+    })))
+      alert("The pairs must be a JSON array of objects with a start and an end title!");
+    else if (!pairs && !(pairCount >= 1))
+      alert("The number of pairs must be at least 1!");
+    else if (isNaN(seed))
+      alert("The pairing seed must be a whole number!");
+    else if (!(maxRequests >= 0))
+      alert("The request limit must be a number that is 0 or more!");
+    else if (!Array.isArray(parameterSets) || parameterSets.length == 0)
+      alert("The parameter sets must be a JSON array with at least one set!");
+    else if (parameterSets.some(function(set) { return !set || typeof set.name != "string"; }))
+      alert("Every parameter set must have a name!");
+    else if (parameterSets.some(function(set, index) {
+      return parameterSets.map(function(other) { return other.name; }).indexOf(set.name) != index;
+    }))
+      alert("The names of the parameter sets must all be different!");
+    else
+      startBenchmark({
+        pairCount: pairs ? pairs.length : pairCount,
+        seed: seed,
+        pairs: pairs,
+        parameterSets: parameterSets,
+        budget: { maxRequests: maxRequests }
+      });
+
+    return false;
+
+  };
+
+}
+
+function visualizeLayers(A, B, container, connect)
+{
+  container.innerHTML = "";
+
+  var maxValue = maxInArray(A.concat(B));
+  var totalLength = A.length + B.length;
+  if (!connect)
+    totalLength += 1;
+  var rectWidth = 1 / totalLength;
+
+  function chartValue(index, value) {
+    var magnitude;
+    if (value == 0)
+      magnitude = 0;
+    else
+      magnitude = (Math.log(value) + 1.0) / (Math.log(maxValue) + 1.0);
+
+    var rect = document.createElement("div");
+    rect.style.position = "absolute";
+    rect.style.left = index * rectWidth * 100 + '%';
+    rect.style.top = (1 - magnitude) / 2 * 100 + '%';
+    rect.style.width = rectWidth * 100 + 0.1 + '%';
+    rect.style.height = magnitude * 100 + '%';
+    rect.style.backgroundColor = "black";
+
+    container.appendChild(rect);
+  }
+
+  for (var i = 0; i < A.length; i++)
+    chartValue(i, A[i]);
+
+  for (var i = 0; i < B.length; i++)
+    chartValue(totalLength-i-1, B[i])
+}
+
+/**
+ * Offers the state of an unfinished solve as a file download, compressed if
+ * the browser supports it.
+ * @param {string} start - The title of the start article.
+ * @param {string} end - The title of the end article.
+ * @param {Object} options - The options of the solve.
+ * @param {Object} solveState - The state captured from the running solve.
+ */
+function saveSolveState(start, end, options, solveState) {
+
+  // the end article of a cross-language solve is on another wiki
+  var otherCaches = {};
+  if (options.endHostname)
+    otherCaches[options.endHostname] = getWikiAPI(options.endHostname).serializeCaches();
+
+  // the state to resume from is replaced by the one being saved
+  var savedOptions = {};
+  Object.keys(options).forEach(function(key) {
+    if (key != "resume")
+      savedOptions[key] = options[key];
+  });
+
+  var text = JSON.stringify({
+    format: SOLVE_STATE_FORMAT,
+    version: SOLVE_STATE_FORMAT_VERSION,
+    created: new Date().toISOString(),
+    hostname: mediaWikiAPI.hostname,
+    server: mediaWikiAPI.server,
+    start: start,
+    end: end,
+    options: savedOptions,
+    caches: mediaWikiAPI.serializeCaches(),
+    otherCaches: otherCaches,
+    solve: solveState
+  });
+
+  gzipText(text).then(function(compressed) {
+    if (compressed)
+      downloadFile("wikimash-solve.json.gz", compressed, "application/gzip");
+    else
+      downloadFile("wikimash-solve.json", text, "application/json");
+  });
+
+}
+
+/**
+ * Resumes a solve from the text of a file written by 'saveSolveState'.
+ * @param {string} text - The JSON text of the saved solve.
+ */
+function resumeSolveState(text) {
+
+  var state = JSON.parse(text);
+  if (!state || state.format != SOLVE_STATE_FORMAT || !state.solve)
+    throw new Error("The file is not a saved search.");
+  if (state.version !== SOLVE_STATE_FORMAT_VERSION)
+    throw new Error("The saved search was made by an unsupported version of wikimash.");
+
+  // the search trees only make sense on the wiki they were built from
+  if (state.hostname != mediaWikiAPI.hostname) {
+    mediaWikiAPI = new MediaWikiAPI(state.hostname);
+    mediaWikiAPI.validated = true;
+    mediaWikiAPI.server = state.server;
+    randomArticleFetcher = new RandomArticleFetcher();
+  }
+  mediaWikiAPI.restoreCaches(state.caches || {});
+  var otherCaches = state.otherCaches || {};
+  Object.keys(otherCaches).forEach(function(hostname) {
+    getWikiAPI(hostname).restoreCaches(otherCaches[hostname]);
+  });
+
+  var options = state.options || {};
+  options.resume = state.solve;
+  setupSolve(state.start, state.end, options);
+
+}
+
+/**
+ * Creates the query string parameters of the permalink of a solve. Options
+ * are only included when they differ from the defaults of the form.
+ * @param {string} start - The title of the start article.
+ * @param {string} end - The title of the end article.
+ * @param {Object} options - The options of the solve, as given to
+ *   'setupSolve'.
+ * @returns {Object.<string,string>} The parameters, which 'parsePermalink'
+ *   reads back.
+ */
+function createPermalinkQuery(start, end, options) {
+
+  var filters = options.filters || {};
+  var budget = options.budget || {};
+
+  var permalink = { mw: mediaWikiAPI.hostname, from: start, to: end };
+
+  // titles can't contain a vertical bar, so it separates lists of them
+  if (options.waypoints && options.waypoints.length > 0)
+    permalink.via = options.waypoints.join("|");
+  if (options.forbidden && options.forbidden.length > 0)
+    permalink.avoid = options.forbidden.join("|");
+  if (options.endHostname)
+    permalink.towiki = options.endHostname;
+
+  if (options.exact)
+    permalink.exact = "1";
+  if (options.pathCount > 1)
+    permalink.paths = "" + options.pathCount;
+  if (options.allShortest)
+    permalink.all = "1";
+  if (options.bodyOnly)
+    permalink.text = "1";
+  if (options.includeInfoboxes)
+    permalink.infobox = "1";
+  if (filters.disambiguation)
+    permalink.disambig = "1";
+  if (filters.titlePattern)
+    permalink.skip = filters.titlePattern;
+  if (filters.maxLinks)
+    permalink.maxlinks = "" + filters.maxLinks;
+  if (budget.maxRequests)
+    permalink.maxrequests = "" + budget.maxRequests;
+  if (budget.maxTime)
+    permalink.maxtime = "" + budget.maxTime;
+  if (budget.maxArticles)
+    permalink.maxarticles = "" + budget.maxArticles;
+
+  return permalink;
+
+}
+
+/**
+ * Reads the solve described by the query string parameters of a permalink,
+ * filling in the defaults of the form for missing options.
+ * @param {Object.<string,string>} permalink - The parameters from
+ *   'createPermalinkQuery'.
+ * @returns {Object} The 'start' and 'end' titles, the 'waypoints' and
+ *   'forbidden' titles, the 'endHostname' if any, and the value of every
+ *   option of the form.
+ */
+function parsePermalink(permalink) {
+
+  function titles(list) {
+    return list ? list.split("|").filter(function(title) {
+      return title.trim() != "";
+    }) : [];
+  }
+
+  function number(value, defaultValue) {
+    var parsed = parseInt(value, 10);
+    return isNaN(parsed) ? defaultValue : parsed;
+  }
+
+  return {
+    start: permalink.from,
+    end: permalink.to,
+    waypoints: titles(permalink.via),
+    forbidden: titles(permalink.avoid),
+    endHostname: permalink.towiki,
+    exact: permalink.exact == "1",
+    pathCount: number(permalink.paths, 1),
+    allShortest: permalink.all == "1",
+    bodyOnly: permalink.text == "1",
+    includeInfoboxes: permalink.infobox == "1",
+    disambiguation: permalink.disambig == "1",
+    titlePattern: permalink.skip || "",
+    maxLinks: number(permalink.maxlinks, 0),
+    maxRequests: number(permalink.maxrequests, 0),
+    maxTime: number(permalink.maxtime, 0),
+    maxArticles: number(permalink.maxarticles, 0)
+  };
+
+}
+
+/**
+ * Leaves a solve for an empty form on the same wiki.
+ */
+function returnToForm() {
+
+  history.pushState({}, "", "?mw=" + mediaWikiAPI.hostname + "#");
+  resetPage();
+
+}
+
+/**
+ * Shows the solving view and starts a solve.
+ * @param {string} start - The title of the start article.
+ * @param {string} end - The title of the end article.
+ * @param {Object} [options] - The options given to 'wikigameSolve', along with
+ *   the 'waypoints' to visit on the way. A 'prefix' of steps leading to the
+ *   start article is put in front of every path found. 'resume' is the state
+ *   of a saved solve to continue.
+ */
+function setupSolve(start, end, options) {
+
+  options = options || {};
+
+  // the address of a solve is its permalink, which takes the place of the
+  // permalink that started it so going back doesn't start it again
+  var permalinkURL = encodeQuerystring(createPermalinkQuery(start, end, options)) + "#solving";
+  if (window.history && window.history.state && window.history.state.permalink)
+    history.replaceState({}, "", permalinkURL);
+  else
+    history.pushState({}, "", permalinkURL);
+
+  content.innerHTML = "";
+
+  var cancelToken = new CancelToken();
+  activeCancelToken = cancelToken;
+
+  if (transport.startSolve)
+    transport.startSolve(mediaWikiAPI, start, end, options);
+
+  var visualizerDiv = document.createElement("div");
+  visualizerDiv.className = "visualizer";
+
+  // the graph view is optional, and needs SVG
+  var graphDiv = document.createElement("div");
+  var graphCaption = document.createElement("p");
+  graphCaption.className = "hop-context";
+  graphCaption.innerText = "Hover over an article to see its title, click it to open the article.";
+  var treeGraph = SVG_SUPPPORTED ? new TreeGraph(graphDiv, graphCaption) : undefined;
+
+  // statistics driven by the events of the trees
+  var progressDiv = document.createElement("div");
+  progressDiv.className = "progress-panel";
+  var progressPanel = new ProgressPanel(progressDiv);
+
+  var viewParagraph = document.createElement("p");
+  viewParagraph.className = "text-center";
+
+  function showView() {
+    var graphShown = treeGraphShown && !!treeGraph;
+    visualizerDiv.style.display = graphShown ? "none" : "";
+    if (treeGraph)
+      treeGraph.setVisible(graphShown);
+    progressPanel.setVisible(progressPanelShown);
+    viewParagraph.innerHTML = "";
+    if (treeGraph) {
+      viewParagraph.appendChild(createJSLink(graphShown ? "show layers" : "show graph", function() {
+        treeGraphShown = !treeGraphShown;
+        showView();
+      }));
+      viewParagraph.appendChild(document.createTextNode(" \u00B7 "));
+    }
+    viewParagraph.appendChild(createJSLink(progressPanelShown ? "hide details" : "show details", function() {
+      progressPanelShown = !progressPanelShown;
+      showView();
+    }));
+  }
+  showView();
+
+  var articleCountParagraph = document.createElement("p");
+  articleCountParagraph.className = "text-center";
+
+  var retryParagraph = document.createElement("p");
+  retryParagraph.className = "text-center text-muted";
+
+  // screen readers are told of the progress now and then, and of the result
+  var announcer = document.createElement("p");
+  announcer.className = "visually-hidden";
+  announcer.setAttribute("role", "status");
+  announcer.setAttribute("aria-live", "polite");
+  var lastAnnouncement = 0;
+
+  function announce(message) {
+    announcer.innerText = message;
+    lastAnnouncement = new Date().getTime();
+  }
+
+  // controls to pause, resume and stop the running solve
+  var controlsParagraph = document.createElement("p");
+  controlsParagraph.className = "text-center";
+  var pauseLink = createJSLink("pause", function() {
+    if (cancelToken.paused) {
+      cancelToken.resume();
+      pauseLink.innerText = "pause";
+    }
+    else {
+      cancelToken.pause();
+      pauseLink.innerText = "resume";
+    }
+  });
+  var stopLink = createJSLink("stop", function() {
+    cancelToken.cancel();
+  });
+  var saveLink = createJSLink("save progress", saveProgress);
+  controlsParagraph.appendChild(pauseLink);
+  controlsParagraph.appendChild(document.createTextNode(" \u00B7 "));
+  controlsParagraph.appendChild(stopLink);
+  controlsParagraph.appendChild(document.createTextNode(" \u00B7 "));
+  controlsParagraph.appendChild(saveLink);
+
+  // captures the state of the running search, once it has started
+  var captureSolve = undefined;
+
+  function saveProgress() {
+    if (captureSolve)
+      saveSolveState(start, end, options, captureSolve());
+  }
+
+  content.appendChild(visualizerDiv);
+  content.appendChild(graphDiv);
+  content.appendChild(graphCaption);
+  content.appendChild(viewParagraph);
+  content.appendChild(progressDiv);
+  content.appendChild(articleCountParagraph);
+  content.appendChild(retryParagraph);
+  content.appendChild(controlsParagraph);
+  content.appendChild(announcer);
+
+  // a live region only announces changes made after it is on the page
+  setTimeout(function() {
+    if (!lastAnnouncement)
+      announce("Searching for a path from " + start + " to " + end + ".");
+  }, STANDARD_DELAY);
+
+  function onCallback(forwardTree, backwardTree, solved, retry, segment) {
+
+    visualizeLayers(forwardTree.layerSizes, backwardTree.layerSizes, visualizerDiv, solved);
+    if (treeGraph)
+      treeGraph.update(forwardTree, backwardTree);
+    articleCountParagraph.innerText = forwardTree.size + backwardTree.size + " articles considered";
+
+    if (segment.count > 1)
+      articleCountParagraph.innerText = "Segment " + (segment.index + 1) + " of " +
+        segment.count + ": " + articleCountParagraph.innerText;
+
+    var prunedCount = forwardTree.prunedCount + backwardTree.prunedCount;
+    if (prunedCount > 0)
+      articleCountParagraph.innerText += ", " + prunedCount + " dead links pruned";
+
+    var avoidedCount = forwardTree.avoidedCount + backwardTree.avoidedCount;
+    if (avoidedCount > 0)
+      articleCountParagraph.innerText += ", " + avoidedCount + " forbidden links avoided";
+
+    var filteredCount = forwardTree.filteredCount + backwardTree.filteredCount;
+    if (filteredCount > 0)
+      articleCountParagraph.innerText += ", " + filteredCount + " articles filtered";
+
+    if (retry)
+      retryParagraph.innerText = retry.error.message + ", retrying in " +
+        Math.ceil(retry.delay / 1000) + "s (attempt " + retry.attempt +
+        " of " + MAX_REQUEST_RETRIES + ")";
+    else
+      retryParagraph.innerText = "";
+
+    if (new Date().getTime() - lastAnnouncement >= ANNOUNCE_INTERVAL)
+      announce(articleCountParagraph.innerText + ".");
+
+  }
+
+  function onFinish() {
+
+    if (activeCancelToken === cancelToken)
+      activeCancelToken = undefined;
+
+    progressPanel.stop();
+    content.removeChild(controlsParagraph);
+
+  }
+
+  function appendRecordingParagraph() {
+
+    var recordingParagraph = createRecordingParagraph();
+    if (recordingParagraph)
+      content.appendChild(recordingParagraph);
+
+  }
+  
+  // interlanguage links don't take a click
+  function clicksText(path) {
+
+    var clicks = path.filter(function(step, index) {
+      return index > 0 && !step.interlanguage;
+    }).length;
+    return clicks + (clicks == 1 ? " click" : " clicks");
+
+  }
+
+  // appends the steps of a path as article links joined by arrows, and
+  // returns the elements that preview each article and the elements that show
+  // where each hop's link appears
+  function appendPath(path) {
+
+    var previewDivs = [];
+    var contextDivs = [];
+
+    path.forEach(function(step, index) {
+      var link = document.createElement("a");
+      link.className = "link-button";
+      link.href = getWikiAPI(step.hostname).buildArticleURL(step.title);
+      link.innerText = step.title;
+      link.target = "_blank";
+      if (step.linkTitle) {
+        var redirectNote = document.createElement("span");
+        redirectNote.className = "text-muted";
+        redirectNote.innerText = " (linked as " + step.linkTitle + ")";
+        link.appendChild(redirectNote);
+      }
+      content.appendChild(link);
+
+      var previewDiv = document.createElement("div");
+      previewDiv.className = "article-preview";
+      content.appendChild(previewDiv);
+      previewDivs.push(previewDiv);
+
+      if (index == path.length-1)
+        return;
+
+      var contextDiv = document.createElement("div");
+      contextDiv.className = "hop-context";
+      if (path[index + 1].interlanguage)
+        contextDiv.innerText = "\u21C4 interlanguage link to " + path[index + 1].hostname;
+      content.appendChild(contextDiv);
+      contextDivs.push(contextDiv);
+
+      var iconContainer = document.createElement("div");
+      iconContainer.className = "text-center";
+      setIcon(iconContainer, "arrow");
+      content.appendChild(iconContainer);
+    });
+
+    return { previewDivs: previewDivs, contextDivs: contextDivs };
+
+  }
+
+  // previews the articles of a path with one request to each wiki it visits
+  function loadPathPreviews(path, previewDivs, cancelToken) {
+
+    var titlesByHostname = {};
+    path.forEach(function(step) {
+      var hostname = getWikiAPI(step.hostname).hostname;
+      titlesByHostname[hostname] = (titlesByHostname[hostname] || []).concat([step.title]);
+    });
+
+    Object.keys(titlesByHostname).forEach(function(hostname) {
+      getWikiAPI(hostname).getPreviews(titlesByHostname[hostname], cancelToken).then(function(previews) {
+        path.forEach(function(step, index) {
+          var preview = previews[step.title];
+          if (preview && getWikiAPI(step.hostname).hostname == hostname)
+            fillArticlePreview(previewDivs[index], preview);
+        });
+      }, function() {});
+    });
+
+  }
+
+  // renders each article of a path in turn to show where the next is linked
+  function loadHopContexts(path, contextDivs, index) {
+
+    if (!HTML_PARSING_SUPPORTED)
+      return;
+
+    index = index || 0;
+
+    // stop once the page has moved on
+    if (index >= contextDivs.length || !contextDivs[index].parentNode)
+      return;
+
+    var step = path[index];
+    var nextStep = path[index + 1];
+    var contextDiv = contextDivs[index];
+
+    // an interlanguage link is not in the text of the article
+    if (nextStep.interlanguage) {
+      loadHopContexts(path, contextDivs, index + 1);
+      return;
+    }
+
+    contextDiv.innerText = "Finding the link to " + nextStep.title + "\u2026";
+
+    var targetTitles = [nextStep.title];
+    if (nextStep.linkTitle)
+      targetTitles.push(nextStep.linkTitle);
+
+    getWikiAPI(step.hostname).parse(step.title).then(function(response) {
+      showHopContext(contextDiv, step, findLinkContext(response.parse.text["*"], targetTitles));
+    }, function(error) {
+      console.log(error);
+      contextDiv.innerText = "Where the link appears could not be loaded.";
+    }).then(function() {
+      loadHopContexts(path, contextDivs, index + 1);
+    });
+
+  }
+
+  function showHopContext(contextDiv, step, context) {
+
+    contextDiv.innerHTML = "";
+
+    if (!context) {
+      contextDiv.innerText = "The link could not be found in the rendered article.";
+      return;
+    }
+
+    var sectionLink = document.createElement("a");
+    sectionLink.target = "_blank";
+    sectionLink.href = getWikiAPI(step.hostname).buildArticleURL(step.title);
+    if (context.sectionAnchor)
+      sectionLink.href += "#" + encodeURIComponent(context.sectionAnchor);
+    sectionLink.innerText = context.sectionTitle || "Introduction";
+
+    var linkTextElement = document.createElement("strong");
+    linkTextElement.innerText = context.linkText;
+
+    contextDiv.appendChild(sectionLink);
+    contextDiv.appendChild(document.createTextNode(": \u201C" + context.before));
+    contextDiv.appendChild(linkTextElement);
+    contextDiv.appendChild(document.createTextNode(context.after + "\u201D"));
+
+  }
+
+  // checks every hop of a path against the live wiki, marking each one below
+  // where its link appears
+  function verifyPath(path, contextDivs, verifyParagraph) {
+
+    // the page moving on stops the checks
+    activeCancelToken = cancelToken;
+
+    // the outcome of each hop, and the element that shows it once known
+    var outcomes = [];
+    var statusDivs = [];
+
+    verifyParagraph.innerHTML = "";
+    verifyParagraph.className = "text-center text-muted";
+
+    function showStatus(index, className, text) {
+
+      var statusDiv = statusDivs[index];
+      if (!statusDiv) {
+        var contextDiv = contextDivs[index];
+        statusDiv = document.createElement("div");
+        contextDiv.parentNode.insertBefore(statusDiv, contextDiv.nextSibling);
+        statusDivs[index] = statusDiv;
+      }
+      statusDiv.className = className;
+      statusDiv.innerText = text;
+
+    }
+
+    // checks the hops at the given indices one after another
+    function verifyHops(indices, position) {
+
+      // stop once the page has moved on
+      if (!verifyParagraph.parentNode)
+        return;
+
+      if (position == indices.length) {
+        showVerifySummary();
+        return;
+      }
+
+      var index = indices[position];
+      verifyParagraph.innerText = "Verifying hop " + (index + 1) + " of " + contextDivs.length + "\u2026";
+
+      verifyHop(path[index], path[index + 1], cancelToken).then(function(outcome) {
+        outcomes[index] = outcome.status;
+        if (outcome.status == "valid")
+          showStatus(index, "hop-context hop-valid", "\u2713 link verified");
+        else if (outcome.status == "redirected")
+          showStatus(index, "hop-context hop-redirected", "\u2713 linked through the redirect " + outcome.linkTitle);
+        else
+          showStatus(index, "hop-context hop-broken", "\u2717 " + outcome.reason);
+        verifyHops(indices, position + 1);
+      }, function(error) {
+        if (error.cancelled)
+          return;
+        // a hop that couldn't be loaded may still be valid
+        outcomes[index] = "unchecked";
+        showStatus(index, "hop-context", "this hop could not be checked");
+        verifyHops(indices, position + 1);
+      });
+
+    }
+
+    function showVerifySummary() {
+
+      var firstBrokenIndex = outcomes.indexOf("broken");
+      var uncheckedIndices = [];
+      outcomes.forEach(function(outcome, index) {
+        if (outcome == "unchecked")
+          uncheckedIndices.push(index);
+      });
+
+      if (firstBrokenIndex == -1 && uncheckedIndices.length == 0) {
+        verifyParagraph.className = "text-center hop-valid";
+        verifyParagraph.innerText = "Every hop of the path is valid.";
+        return;
+      }
+
+      verifyParagraph.className = "text-center text-error";
+      verifyParagraph.innerText = "";
+      if (firstBrokenIndex != -1)
+        verifyParagraph.innerText += "Hop " + (firstBrokenIndex + 1) + " is broken. ";
+      if (uncheckedIndices.length == 1)
+        verifyParagraph.innerText += "Hop " + (uncheckedIndices[0] + 1) + " could not be checked. ";
+      else if (uncheckedIndices.length > 1)
+        verifyParagraph.innerText += uncheckedIndices.length + " hops could not be checked. ";
+
+      var links = [];
+
+      if (uncheckedIndices.length > 0) {
+        links.push(createJSLink("check again", function() {
+          verifyParagraph.innerHTML = "";
+          verifyParagraph.className = "text-center text-muted";
+          verifyHops(uncheckedIndices, 0);
+        }));
+      }
+
+      // the articles up to the broken hop can still be reached as before, as
+      // long as every hop before it is known to be valid, and a solve always
+      // starts on the current wiki
+      var lastValidStep = firstBrokenIndex != -1 ? path[firstBrokenIndex] : undefined;
+      if (lastValidStep && (uncheckedIndices.length == 0 || uncheckedIndices[0] > firstBrokenIndex) &&
+          getWikiAPI(lastValidStep.hostname) === mediaWikiAPI) {
+        links.push(createJSLink("re-solve from " + lastValidStep.title, function() {
+          var prefix = path.slice(0, firstBrokenIndex + 1);
+          var prefixTitles = prefix.map(function(step) {
+            return step.title;
+          });
+          var resolveOptions = {};
+          Object.keys(options).forEach(function(key) {
+            resolveOptions[key] = options[key];
+          });
+          resolveOptions.prefix = prefix;
+          resolveOptions.forbidden = (options.forbidden || []).concat(prefixTitles.slice(0, -1));
+          resolveOptions.waypoints = (options.waypoints || []).filter(function(title) {
+            return prefixTitles.indexOf(title) == -1;
+          });
+          setupSolve(lastValidStep.title, path[path.length - 1].title, resolveOptions);
+        }));
+      }
+
+      links.forEach(function(link, index) {
+        if (index > 0)
+          verifyParagraph.appendChild(document.createTextNode(" \u00B7 "));
+        verifyParagraph.appendChild(link);
+      });
 
-  return apiRequest(
-    this.url,
-    {
-      action: "query",
-      format: "json",
-      list: "random",
-      rnlimit: limitParam,
-      rnnamespace: 0,
-      rncontinue: continueParam
     }
-  ).then(function(response) {
 
-    var result = {};
+    verifyHops(contextDivs.map(function(contextDiv, index) {
+      return index;
+    }), 0);
 
-    // map all of the rceived page titles into a single array. 
-    result.articles = response.query.random.map(function(page) {
-      return page.title;
-    });
+  }
 
-    // determine whether the batch can be continued
-    if ("continue" in response)
-      result.continueParam = response["continue"].rncontinue;
+  function onSolve(result) {
+
+    onFinish();
+
+    history.replaceState({}, "", "#solved");
+
+    if (treeGraph)
+      treeGraph.highlight(result.path);
+
+    var paths = result.paths;
+
+    // say whether the first path is proven to be the shortest
+    var resultParagraph = document.createElement("p");
+    resultParagraph.className = "text-center";
+    if (result.shortest && result.segments.length > 1) {
+      resultParagraph.innerText = "Shortest segments: " + clicksText(result.path);
+      var segmentsSpan = document.createElement("span");
+      segmentsSpan.className = "text-muted";
+      segmentsSpan.innerText =
+        "\nEach segment is the shortest path between its waypoints that avoids the articles visited before it.";
+      resultParagraph.appendChild(segmentsSpan);
+    }
+    else if (result.shortest) {
+      // filtered articles were never searched, so paths through them may be shorter
+      var filters = options.filters || {};
+      var filtered = filters.disambiguation || filters.titlePattern || filters.maxLinks;
+      resultParagraph.innerText = "Shortest path: " + clicksText(result.path);
+      var proofSpan = document.createElement("span");
+      proofSpan.className = "text-muted";
+      proofSpan.innerText =
+        "\nEvery article within " + result.proof.forwardDepth + " clicks of the start and " +
+        result.proof.backwardDepth + " clicks of the end was searched, so no shorter path " +
+        (filtered ? "through unfiltered articles exists." : "exists.");
+      resultParagraph.appendChild(proofSpan);
+    }
     else
-      result.continueParam = null;
+      resultParagraph.innerText = "A path: " + clicksText(result.path);
+    if (paths.length > 1) {
+      var countSpan = document.createElement("span");
+      countSpan.className = "text-muted";
+      countSpan.innerText = "\n" + paths.length + " paths found, ranked by length.";
+      resultParagraph.appendChild(countSpan);
+    }
+    if (result.budgetExhausted) {
+      var budgetSpan = document.createElement("span");
+      budgetSpan.className = "text-muted";
+      budgetSpan.innerText = "\nThe search " + budgetLimitText(result.budgetExhausted) +
+        " before finding every path asked for.";
+      resultParagraph.appendChild(budgetSpan);
+    }
+    content.appendChild(resultParagraph);
+
+    announce((result.shortest ? "Shortest path: " : "A path: ") + clicksText(result.path) + ", " +
+      result.path.map(function(step) {
+        return step.title;
+      }).join(", then ") + "." + (paths.length > 1 ? " " + paths.length + " paths found." : ""));
+
+    // where the links appear is only loaded for other paths when asked for
+    paths.forEach(function(path, index) {
+      var rankParagraph = document.createElement("p");
+      rankParagraph.className = "text-center";
+      if (paths.length > 1) {
+        rankParagraph.innerText = "Path " + (index + 1) + ": " + clicksText(path);
+        content.appendChild(rankParagraph);
+      }
+      var hops = appendPath(path);
+      loadPathPreviews(path, hops.previewDivs, cancelToken);
+      if (index == 0)
+        loadHopContexts(path, hops.contextDivs);
+      else if (HTML_PARSING_SUPPORTED) {
+        var contextLink = createJSLink("show where the links appear", function() {
+          rankParagraph.removeChild(separator);
+          rankParagraph.removeChild(contextLink);
+          loadHopContexts(path, hops.contextDivs);
+        });
+        var separator = document.createTextNode(" \u00B7 ");
+        rankParagraph.appendChild(separator);
+        rankParagraph.appendChild(contextLink);
+      }
 
-    return result;
-    
-  });
+      // hops may have been found in the link cache or have changed since
+      var verifyParagraph = document.createElement("p");
+      verifyParagraph.className = "text-center";
+      verifyParagraph.appendChild(createJSLink("verify path", function() {
+        verifyPath(path, hops.contextDivs, verifyParagraph);
+      }));
+      content.appendChild(verifyParagraph);
+    });
 
-}
+    var copyPathParagraph = document.createElement("p");
+    copyPathParagraph.className = "text-center";
+    var pathText = paths.map(function(path) {
+      return path.map(function(step) {
+        return step.title;
+      }).join(" \u21D2 ");
+    }).join("\n");
+
+    function createCopyLink(linkText, text) {
+
+      var textChangeTimeout;
+      var copyLink = createJSLink(linkText, function() {
+
+        if (copyStringToClipboard(text))
+          copyLink.innerText = "copied to clipboard!";
+        else
+          copyLink.innerText = "failed to copy!";
+        clearTimeout(textChangeTimeout);
+        textChangeTimeout = setTimeout(function() {
+          copyLink.innerText = linkText;
+        }, 4*STANDARD_DELAY);
 
-/**
- * Gets pages that are linked by given articles using the MediaWiki links API.
- * https://www.mediawiki.org/wiki/API:Links
- * @param {string} titlesParam - 
- * @param {number|string} limitParam - 
- * @param {} continueParam - 
- */
-MediaWikiAPI.prototype.getLinks = function(titlesParam, limitParam, continueParam) {
+      });
+      return copyLink;
 
-  return apiRequest(
-    this.url,
-    {
-      action: 'query',
-      format: 'json',
-      prop: 'links',
-      pllimit: limitParam,
-      plnamespace: 0,
-      plcontinue: continueParam,
-      titles: titlesParam
     }
-  ).then(this.createLinkHandler("links", "plcontinue"));
 
-};
+    copyPathParagraph.appendChild(createCopyLink(
+      paths.length > 1 ? "copy paths as text" : "copy path as text", pathText
+    ));
+    copyPathParagraph.appendChild(document.createTextNode(" \u00B7 "));
+    copyPathParagraph.appendChild(createCopyLink("copy link", window.location.href.split("#")[0]));
 
-MediaWikiAPI.prototype.getBacklinks = function(titlesParam, limitParam, continueParam) {
+    var tryAgainParagraph = document.createElement("p");
+    tryAgainParagraph.className = "text-center";
+    var tryAgainLink = createJSLink("try again", returnToForm);
+    tryAgainParagraph.appendChild(tryAgainLink);
 
-  return apiRequest(
-    this.url,
-    {
-      action: 'query',
-      format: 'json',
-      prop: 'linkshere',
-      lhlimit: limitParam,
-      lhprop: 'title',
-      lhshow: '!redirect',
-      lhnamespace: 0,
-      lhcontinue: continueParam,
-      titles: titlesParam
+    content.appendChild(copyPathParagraph);
+    content.appendChild(tryAgainParagraph);
+    appendRecordingParagraph();
+
+  }
+
+  function onError(error) {
+
+    // the page has already moved on if another solve replaced this one
+    if (error.cancelled && activeCancelToken !== cancelToken) {
+      progressPanel.stop();
+      return;
     }
-  ).then(this.createLinkHandler("linkshere", "lhcontinue"));
 
-};
+    onFinish();
 
-MediaWikiAPI.prototype.createLinkHandler = function(linkProperty, continueProp) {
+    console.log(error);
 
-  return function(response) {
+    var tryAgainParagraph = document.createElement("p");
+    if (error.cancelled) {
+      tryAgainParagraph.className = "text-center text-muted";
+      tryAgainParagraph.innerHTML = "The search was stopped.<br>";
+      announce("The search was stopped.");
+      if (captureSolve) {
+        tryAgainParagraph.appendChild(createJSLink("save progress", saveProgress));
+        tryAgainParagraph.appendChild(document.createTextNode(" \u00B7 "));
+      }
+    }
+    else if (error.budgetExhausted) {
+      appendBudgetReport(error.report);
+      tryAgainParagraph.className = "text-center";
+      // a saved search starts again with a fresh budget when it is resumed
+      if (captureSolve) {
+        tryAgainParagraph.appendChild(createJSLink("save progress", saveProgress));
+        tryAgainParagraph.appendChild(document.createTextNode(" \u00B7 "));
+      }
+    }
+    else {
+      tryAgainParagraph.className = "text-center text-error";
+      tryAgainParagraph.innerHTML = "No path was found!<br>";
+      announce("No path was found.");
+    }
+    var tryAgainLink = createJSLink("try again", returnToForm);
+    tryAgainParagraph.appendChild(tryAgainLink);
+    content.appendChild(tryAgainParagraph);
+    appendRecordingParagraph();
 
-    var result = {};
+  }
 
-    var parentPages = [];
-    Object.keys(response.query.pages).forEach(function(key) {
-      parentPages.push(response.query.pages[key]);
-    });
+  function budgetLimitText(report) {
 
-    result.linkMap = {};
-    parentPages.forEach(function(parentPage) {
+    var limits = {
+      requests: "made " + report.requests + " requests",
+      time: "ran for " + Math.round(report.time / 1000) + " seconds",
+      articles: "considered " + report.articles + " articles"
+    };
+    return limits[report.reason];
 
-      if (!(linkProperty in parentPage))
-        return;
-      var childPages = parentPage[linkProperty];
-  
-      result.linkMap[parentPage.title] = [];
-      childPages.forEach(function(childPage) {
-        result.linkMap[parentPage.title].push(childPage.title);
+  }
+
+  // explains how far a search got before its budget ran out
+  function appendBudgetReport(report) {
+
+    var reportParagraph = document.createElement("p");
+    reportParagraph.className = "text-center text-error";
+    reportParagraph.innerText = "The search gave up after it " + budgetLimitText(report) + ".";
+    if (report.segment && report.segment.count > 1)
+      reportParagraph.innerText += " It was solving segment " + (report.segment.index + 1) +
+        " of " + report.segment.count + ".";
+    content.appendChild(reportParagraph);
+    announce(reportParagraph.innerText);
+
+    var usageParagraph = document.createElement("p");
+    usageParagraph.className = "text-center text-muted";
+    usageParagraph.innerText = report.requests + " requests, " + Math.round(report.time / 1000) +
+      " seconds, " + report.articles + " articles considered";
+    content.appendChild(usageParagraph);
+
+    [["start", report.forward], ["end", report.backward]].forEach(function(entry) {
+
+      var treeReport = entry[1];
+      var treeParagraph = document.createElement("p");
+      treeParagraph.className = "text-center text-muted";
+      treeParagraph.innerText = treeReport.size + " articles within " + treeReport.depth +
+        (treeReport.depth == 1 ? " click" : " clicks") + " of the " + entry[0] +
+        " (" + treeReport.layerSizes.join(", ") + " by depth)";
+
+      // the articles the search would have looked at next
+      if (treeReport.frontier.length > 0) {
+        treeParagraph.appendChild(document.createElement("br"));
+        treeParagraph.appendChild(document.createTextNode("Most promising: "));
+      }
+      treeReport.frontier.forEach(function(page, index) {
+        if (index > 0)
+          treeParagraph.appendChild(document.createTextNode(", "));
+        var link = document.createElement("a");
+        link.href = getWikiAPI(treeReport.hostname).buildArticleURL(page.title);
+        link.target = "_blank";
+        link.innerText = page.title;
+        treeParagraph.appendChild(link);
+        treeParagraph.appendChild(document.createTextNode(" (" + page.parents +
+          (page.parents == 1 ? " link" : " links") + ")"));
       });
 
-      if ("continue" in response)
-        result.continueParam = response["continue"][continueProp];
-      else
-        result.continueParam = undefined;
-  
+      content.appendChild(treeParagraph);
+
     });
 
-    return result;
+  }
 
-  };
+  // a re-solve from part way along a path keeps the part before it
+  function addPrefix(result) {
 
-};
+    if (!options.prefix)
+      return result;
 
-MediaWikiAPI.prototype.buildArticleURL = function(article) {
+    function prefixed(path) {
+      return options.prefix.concat(path.slice(1));
+    }
 
-  return "https://" + this.hostname + "/wiki/" + encodeURIComponent(article.replace(/ /g, "_"));
+    result.paths = result.paths.map(prefixed);
+    result.path = result.paths[0];
+    result.shortest = false;
+    return result;
 
-}
+  }
 
-/** @constructor */
-function RandomArticleFetcher() {
+  var solveOptions = {};
+  Object.keys(options).forEach(function(key) {
+    solveOptions[key] = options[key];
+  });
+  solveOptions.snapshotCallback = function(capture) {
+    captureSolve = capture;
+  };
+  solveOptions.eventCallback = function(event) {
+    progressPanel.handleEvent(event);
+  };
 
-  this.articles = [];
-  this.newArticlesPromise = undefined;
-  this.continueParam = undefined;
+  var titles = [start].concat(options.waypoints || [], [end]);
+  wikigameSolveSegments(titles, onCallback, cancelToken, solveOptions).then(addPrefix).then(onSolve, onError);
 
 }
 
-RandomArticleFetcher.prototype.getArticles = function(count) {
+/**
+ * Shows the play mode, where the player looks for a path from the start
+ * article to the end article by clicking the links in the text of each
+ * article in turn. Meanwhile the solver looks for a path through the same
+ * links, and the two paths are compared once the player reaches the end
+ * article or gives up.
+ * @param {string} start - The title of the start article.
+ * @param {string} end - The title of the end article.
+ * @param {Object} [options] - Optional settings. 'includeInfoboxes' tells
+ *   whether links in infoboxes can be clicked too.
+ */
+function setupPlay(start, end, options) {
 
-  var self = this;
+  options = options || {};
 
-  if (self.newArticlesPromise !== undefined) {
-    return self.newArticlesPromise.then(function() {
-      return self.getArticles(count);
-    });
-  }
+  history.pushState({}, "", "#playing");
+
+  content.innerHTML = "";
+
+  var cancelToken = new CancelToken();
+  activeCancelToken = cancelToken;
+
+  var api = mediaWikiAPI;
+  var path = [start];
+  var startTime = new Date().getTime();
+  var endTime = undefined;
+  var finished = false;
+
+  // the outcome of the solver, once it has one
+  var solverResult = undefined;
+  var solverParagraph = undefined;
+
+  var goalParagraph = document.createElement("p");
+  goalParagraph.className = "text-center";
+  var startElement = document.createElement("strong");
+  startElement.innerText = start;
+  var endElement = document.createElement("strong");
+  endElement.innerText = end;
+  goalParagraph.appendChild(document.createTextNode("Get from "));
+  goalParagraph.appendChild(startElement);
+  goalParagraph.appendChild(document.createTextNode(" to "));
+  goalParagraph.appendChild(endElement);
+  goalParagraph.appendChild(document.createTextNode(" by clicking links."));
+
+  var statsParagraph = document.createElement("p");
+  statsParagraph.className = "text-center text-muted";
+
+  var articleLink = document.createElement("a");
+  articleLink.className = "link-button";
+  articleLink.target = "_blank";
+
+  var previewDiv = document.createElement("div");
+  previewDiv.className = "article-preview";
+
+  var filterInput = createLabelledInput("Filter links", "text", "");
+  filterInput.oninput = filterLinks;
+
+  var linksDiv = document.createElement("div");
+  linksDiv.className = "play-links";
+
+  var pathParagraph = document.createElement("p");
+  pathParagraph.className = "text-center text-muted";
+
+  var controlsParagraph = document.createElement("p");
+  controlsParagraph.className = "text-center";
+  controlsParagraph.appendChild(createJSLink("give up", function() {
+    finish(false);
+  }));
+
+  content.appendChild(goalParagraph);
+  content.appendChild(statsParagraph);
+  content.appendChild(articleLink);
+  content.appendChild(previewDiv);
+  content.appendChild(filterInput.parentNode);
+  content.appendChild(linksDiv);
+  content.appendChild(pathParagraph);
+  content.appendChild(controlsParagraph);
+
+  function clicksText(clicks) {
+
+    return clicks + (clicks == 1 ? " click" : " clicks");
 
-  if (self.articles.length >= count) {
-    var temp = self.articles.slice(0, count);
-    self.articles = self.articles.slice(count);
-    return instantPromise(temp);
   }
-  else if (self.articles.length > 0) {
-    var temp = self.articles;
-    self.articles = [];
-    return self.getArticles(count - temp.length).then(function(newArticles) {
-      return temp.concat(newArticles);
-    });
+
+  function updateStats() {
+
+    statsParagraph.innerText = clicksText(path.length - 1) + " \u00B7 " +
+      formatDuration((endTime || new Date().getTime()) - startTime);
+    pathParagraph.innerText = "Your path: " + path.join(" \u21D2 ");
+
   }
 
-  self.newArticlesPromise = mediaWikiAPI.getRandomArticles("max", self.continueParam);
+  var timer = setInterval(function() {
+    // stop once the page has moved on
+    if (!statsParagraph.parentNode)
+      clearInterval(timer);
+    else
+      updateStats();
+  }, 1000);
 
-  return self.newArticlesPromise.then(function(result) {
-      self.newArticlesPromise = undefined;
-      self.continueParam = result.continueParam;
-      self.articles = result.articles;
-      return self.getArticles(count);
-  });
+  // the links of an article are shown once they are loaded, unless the
+  // player has moved on by then
+  function visit(title) {
 
-};
+    var step = path.length;
 
-RandomArticleFetcher.prototype.getArticle = function() {
+    articleLink.href = api.buildArticleURL(title);
+    articleLink.innerText = title;
+    previewDiv.innerHTML = "";
+    linksDiv.innerHTML = "";
+    linksDiv.innerText = "Loading the links of " + title + "\u2026";
+    filterInput.value = "";
+    updateStats();
 
-  return this.getArticles(1).then(function(articles) {
-    return articles[0];
-  })
+    api.getPreviews([title], cancelToken).then(function(previews) {
+      if (path.length == step && previews[title])
+        fillArticlePreview(previewDiv, previews[title]);
+    }, function() {});
 
-};
+    api.getBodyLinks(title, !!options.includeInfoboxes, cancelToken).then(function(response) {
 
-/** @constructor */
-function LinkFetcher(direction) {
+      if (finished || path.length != step)
+        return;
 
-  var self;
+      // the link may have been to a redirect
+      var resolvedTitle = api.resolveRedirect(title);
+      if (resolvedTitle != title) {
+        path[step - 1] = resolvedTitle;
+        articleLink.href = api.buildArticleURL(resolvedTitle);
+        articleLink.innerText = resolvedTitle;
+        updateStats();
+      }
+      if (resolvedTitle == end) {
+        finish(true);
+        return;
+      }
 
-  this.direction = direction;
-  this.linkPromise = undefined;
-  
-  this.batchIndex = 0;
-  this.lastBatchIndex = undefined;
-  this.batches = [];
+      var links = (response.linkMap[title] || []).filter(function(link, index, array) {
+        return array.indexOf(link) == index;
+      });
+      showLinks(resolvedTitle, links);
 
-  this.undesirableBatchStack = [];
+    }, function(error) {
 
-}
+      if (error.cancelled)
+        return;
+      console.log(error);
+      linksDiv.innerText = "The links of " + title + " could not be loaded. ";
+      linksDiv.appendChild(createJSLink("try again", function() {
+        visit(title);
+      }));
 
-LinkFetcher.prototype.addArticles = function(articles) {
+    });
 
-  while (articles.length != 0) {
-    var batch = {};
-    batch.articles = [];
-    batch.titlesParam = "" + articles[0];
-    var titleCount = Math.min(50, articles.length);
-    var i;
-    var encodedParamLength = encodeURIComponent(batch.titlesParam).length;
-    for (i = 1; i < titleCount && encodedParamLength < 1500; i++) {
-      batch.articles.push(articles[i]);
-      batch.titlesParam += "|" + articles[i];
-      encodedParamLength += encodeURIComponent("|" + articles[i]).length;
-    };
-    articles = articles.slice(i);
-    batch.continueParam = undefined;
-    this.batches.push(batch);
   }
 
-};
-
-LinkFetcher.prototype.fetch = function() {
+  function showLinks(title, links) {
 
-  var self = this;
+    linksDiv.innerHTML = "";
 
-  if (self.complete())
-    return instantPromise({});
+    if (links.length == 0) {
+      linksDiv.innerText = "There are no links to follow in " + title + ".";
+      return;
+    }
 
-  if (self.linkPromise)
-    return self.linkPromise.then(function() {
-      return self.fetch();
+    links.forEach(function(link) {
+      var linkButton = document.createElement("button");
+      linkButton.setAttribute("type", "button");
+      linkButton.className = "play-link";
+      linkButton.innerText = link;
+      linkButton.onclick = function() {
+        follow(link);
+      };
+      linksDiv.appendChild(linkButton);
     });
 
-  var currentBatch;
-  if (self.batches.length > 0) {
-    self.batchIndex = (self.batchIndex+1) % self.batches.length;
-    currentBatch = self.batches[self.batchIndex];
-  }
-  else {
-    currentBatch = self.undesirableBatchStack.pop();
-    self.batches.push(currentBatch);
-    self.batchIndex = 0;
+    filterLinks();
+
   }
 
-  if (self.direction == "forward")
-    self.linkPromise = mediaWikiAPI.getLinks(currentBatch.titlesParam, "max", currentBatch.continueParam);
-  else if (self.direction == "backward")
-    self.linkPromise = mediaWikiAPI.getBacklinks(currentBatch.titlesParam, "max", currentBatch.continueParam);
+  function filterLinks() {
 
-  return self.linkPromise.then(function(response) {
+    var filter = filterInput.value.trim().toLowerCase();
+    var buttons = linksDiv.childNodes;
+    for (var i = 0; i < buttons.length; i++) {
+      if (buttons[i].className == "play-link")
+        buttons[i].style.display = buttons[i].innerText.toLowerCase().indexOf(filter) == -1 ? "none" : "";
+    }
 
-    self.linkPromise = undefined;
+  }
 
-    if (response.continueParam) {
-      currentBatch.continueParam = response.continueParam;
-      self.lastBatchIndex = self.batchIndex;
-    }
-    else {
-      currentBatch.articles.forEach(function(article) {
-        if (!(article in response.linkMap))
-          response.linkMap[article] = [];
-      });
-      self.batches.splice(self.batchIndex, 1);
-      self.lastBatchIndex = undefined;
+  function follow(link) {
+
+    if (finished)
+      return;
+
+    path.push(api.resolveRedirect(link));
+    if (path[path.length - 1] == end) {
+      finish(true);
+      return;
     }
+    visit(link);
 
-    return response.linkMap;
+  }
 
-  });
-};
+  function finish(reached) {
 
-LinkFetcher.prototype.markLastBatchUndesirable = function() {
+    finished = true;
+    endTime = new Date().getTime();
+    clearInterval(timer);
+    updateStats();
 
-  if (this.lastBatchIndex !== undefined) {
+    history.replaceState({}, "", "#played");
 
-    var lastBatch = this.batches.splice(this.lastBatchIndex, 1)[0];
-    this.undesirableBatchStack.push(lastBatch);
-    this.lastBatchIndex = undefined;
+    [previewDiv, filterInput.parentNode, linksDiv, controlsParagraph].forEach(function(element) {
+      content.removeChild(element);
+    });
+    articleLink.href = api.buildArticleURL(path[path.length - 1]);
+    articleLink.innerText = path[path.length - 1];
+
+    var resultParagraph = document.createElement("p");
+    resultParagraph.className = "text-center";
+    if (reached)
+      resultParagraph.innerText = "You reached " + end + " in " + clicksText(path.length - 1) +
+        " and " + formatDuration(endTime - startTime) + "!";
+    else
+      resultParagraph.innerText = "You gave up after " + clicksText(path.length - 1) +
+        " and " + formatDuration(endTime - startTime) + ".";
+    content.insertBefore(resultParagraph, statsParagraph);
+    content.removeChild(statsParagraph);
+
+    solverParagraph = document.createElement("p");
+    solverParagraph.className = "text-center";
+    solverParagraph.innerText = "The solver is still looking for a path\u2026";
+    content.appendChild(solverParagraph);
+    if (solverResult)
+      showSolverResult();
+
+    var againParagraph = document.createElement("p");
+    againParagraph.className = "text-center";
+    againParagraph.appendChild(createJSLink("play again", function() {
+      cancelToken.cancel();
+      setupPlay(start, end, options);
+    }));
+    againParagraph.appendChild(document.createTextNode(" \u00B7 "));
+    againParagraph.appendChild(createJSLink("solve it", function() {
+      cancelToken.cancel();
+      setupSolve(start, end, { bodyOnly: true, includeInfoboxes: options.includeInfoboxes });
+    }));
+    againParagraph.appendChild(document.createTextNode(" \u00B7 "));
+    againParagraph.appendChild(createJSLink("try again", returnToForm));
+    content.appendChild(againParagraph);
 
   }
 
-}
-
-LinkFetcher.prototype.markAllBatchesUndesirable = function() {
+  // compares the path of the player with the path of the solver
+  function showSolverResult() {
 
-  this.undesirableBatchStack = this.undesirableBatchStack.concat(this.batches);
-  this.batches = [];
-  this.lastBatchIndex = undefined;
+    if (solverResult.error) {
+      solverParagraph.className = "text-center text-error";
+      solverParagraph.innerText = "The solver found no path.";
+      return;
+    }
 
-}
+    var solverPath = solverResult.path;
+    var solverClicks = solverPath.length - 1;
+    solverParagraph.innerText = "The solver's path: " + clicksText(solverClicks) + "\n" +
+      solverPath.join(" \u21D2 ");
+
+    // 'exact' doesn't apply to paths through the text alone, so the solver's
+    // path isn't proven shortest and the player may beat it
+    var comparisonSpan = document.createElement("span");
+    comparisonSpan.className = "text-muted";
+    var difference = path.length - 1 - solverClicks;
+    if (path[path.length - 1] != end)
+      comparisonSpan.innerText = "\nThe solver's path isn't always the shortest one.";
+    else if (difference > 0)
+      comparisonSpan.innerText = "\nYour path was " + clicksText(difference) + " longer than the solver's, " +
+        "which isn't always the shortest one.";
+    else if (difference == 0)
+      comparisonSpan.innerText = "\nYour path was as short as the solver's, which isn't always the shortest one.";
+    else
+      comparisonSpan.innerText = "\nYour path was " + clicksText(-difference) + " shorter than the solver's!";
+    solverParagraph.appendChild(comparisonSpan);
 
-LinkFetcher.prototype.complete = function() {
+  }
 
-  return this.batches.length == 0 && this.undesirableBatchStack.length == 0;
+  // the solver follows the same links as the player can
+  wikigameSolve(start, end, function() {}, cancelToken, {
+    bodyOnly: true,
+    includeInfoboxes: options.includeInfoboxes
+  }).then(function(result) {
+    solverResult = {
+      path: result.path.map(function(step) {
+        return step.title;
+      })
+    };
+    if (finished)
+      showSolverResult();
+  }, function(error) {
+    if (error.cancelled)
+      return;
+    console.log(error);
+    solverResult = { error: error };
+    if (finished)
+      showSolverResult();
+  });
 
-};
+  visit(start);
 
-LinkFetcher.prototype.noDesirableBatches = function() {
+}
 
-  return this.batches.length == 0;
+/**
+ * Finds a path of links from the start article to the end article using a
+ * bidirectional search.
+ * @param {string} start - The title of the start article.
+ * @param {string} end - The title of the end article.
+ * @param {function} progressCallback - Called with both trees as they grow.
+ * @param {CancelToken} [cancelToken] - Optional token to stop the search.
+ * @param {Object} [options] - Optional settings. When 'exact' is true both
+ *   trees are expanded one whole layer at a time, which guarantees that the
+ *   returned path is as short as possible at the cost of more requests.
+ *   'pathCount' is the number of distinct paths to collect before stopping,
+ *   and 'allShortest' collects every shortest path, which implies 'exact'.
+ *   'forbidden' is an array of titles that no path may pass through.
+ *   'filters' describes pages to keep out of the search, as documented for
+ *   'ArticleTree', though the start and end articles are never filtered.
+ *   When 'bodyOnly' is true only links in the running text of articles are
+ *   followed, including infoboxes if 'includeInfoboxes' is true. Backlinks
+ *   can't tell where a link appears, so the part of each path found by the
+ *   backward tree is confirmed by rendering its articles. Paths found this
+ *   way can't be proven shortest, so 'exact' and 'allShortest' are ignored.
+ *   'snapshotCallback' is called when the search starts with a function that
+ *   captures the state of the search, which can be given back as 'resume' to
+ *   continue the search where it was captured. 'budget' holds the limits of a
+ *   'SolveBudget', or is a budget shared with other searches. When the end
+ *   article is on another wiki, 'endHostname' is the hostname of that wiki,
+ *   and the trees meet where an article of the forward tree has an
+ *   interlanguage link to an article of the backward tree. 'tuning'
+ *   overrides any of the numbers in 'DEFAULT_SEARCH_TUNING'.
+ *   'eventCallback' is called with the events of both trees, as documented
+ *   for 'ArticleTree.prototype.setEventHandler'.
+ * @returns {Promise<Object>} A promise that resolves to the result. Its 'paths'
+ *   property holds the paths found, ranked by length, and 'path' the first of
+ *   them. 'shortest' tells whether the first path is proven to be the
+ *   shortest, and if so 'proof' holds the depths searched. The steps of a
+ *   cross-language path have the 'hostname' of their wiki, and the first step
+ *   on the end wiki is marked as 'interlanguage'. If the budget ran
+ *   out before enough paths were found, 'budgetExhausted' holds its report.
+ *   When it runs out before any path is found the promise rejects with an
+ *   error whose 'budgetExhausted' property is true and whose 'report' tells
+ *   which limit was reached, how far each tree got and the most promising
+ *   articles on the fringe of each tree.
+ */
+function wikigameSolve(start, end, progressCallback, cancelToken, options) {
 
-};
+  cancelToken = cancelToken || new CancelToken();
+  options = options || {};
 
-/** @constructor */
-function ArticleTree(rootPageTitle, direction)
-{
-  this.direction = direction;
+  var bodyOnly = !!options.bodyOnly;
+  var exact = !bodyOnly && !!(options.exact || options.allShortest);
+  var pathCount = Math.max(1, options.pathCount || 1);
 
-  this.treeObj = {};
-  this.treeObj[rootPageTitle] = "_root";
+  // a budget may be shared with the searches of other segments
+  var budget = options.budget instanceof SolveBudget ? options.budget : new SolveBudget(options.budget);
 
-  this.fringe = {};
-  this.fringe[rootPageTitle] = true;
-  this.fringeSize = 1;
+  // an end article on another wiki makes a cross-language solve
+  var startAPI = mediaWikiAPI;
+  var endAPI = getWikiAPI(options.endHostname);
+  var crossLanguage = endAPI !== startAPI;
 
-  this.depthMap = {};
-  this.depthMap[rootPageTitle] = 0;
+  var filters = {};
+  Object.keys(options.filters || {}).forEach(function(key) {
+    filters[key] = options.filters[key];
+  });
+  filters.exempt = [start, end];
+
+  var treeOptions = {
+    strict: exact,
+    forbidden: options.forbidden,
+    filters: filters,
+    bodyOnly: bodyOnly,
+    includeInfoboxes: options.includeInfoboxes,
+    tuning: options.tuning
+  };
+  var backwardTreeOptions = {};
+  Object.keys(treeOptions).forEach(function(key) {
+    backwardTreeOptions[key] = treeOptions[key];
+  });
+  backwardTreeOptions.hostname = endAPI.hostname;
+
+  var forwardTree = new ArticleTree(start, "forward", treeOptions);
+  var backwardTree = new ArticleTree(end, "backward", backwardTreeOptions);
+
+  // every article found in both trees, in the order they were found. In a
+  // cross-language solve these are forward tree articles whose translation
+  // is in the backward tree.
+  var collisions = [];
+
+  // titles on the end wiki of the forward tree's articles, found through
+  // their interlanguage links, and the forward tree articles of each title
+  var translations = {};
+  var translatedFrom = {};
+
+  // forward tree articles whose interlanguage links haven't been fetched
+  var untranslated = crossLanguage ? [start] : [];
+
+  // number of layers that have been completely expanded in each tree
+  var expandedLayers = { forward: 0, backward: 0 };
+  var proof = undefined;
+
+  // the direction of the layer being expanded by the exact algorithm
+  var expandingDirection = undefined;
+
+  if (options.resume) {
+    forwardTree = ArticleTree.deserialize(options.resume.forwardTree);
+    backwardTree = ArticleTree.deserialize(options.resume.backwardTree);
+    expandedLayers = options.resume.expandedLayers;
+    proof = options.resume.proof || undefined;
+    expandingDirection = options.resume.expandingDirection || undefined;
+    untranslated = options.resume.untranslated || [];
+    var savedTranslations = options.resume.translations || {};
+    Object.keys(savedTranslations).forEach(function(title) {
+      addTranslation(title, savedTranslations[title]);
+    });
+    if (!crossLanguage)
+      recordCollisions(Object.keys(forwardTree.treeObj).concat(Object.keys(forwardTree.aliases)), backwardTree);
+  }
 
-  this.linkFetcher = new LinkFetcher(direction);
-  this.linkFetcher.addArticles([rootPageTitle]);
+  forwardTree.setEventHandler(options.eventCallback);
+  backwardTree.setEventHandler(options.eventCallback);
+
+  if (options.snapshotCallback) {
+    options.snapshotCallback(function() {
+      return {
+        forwardTree: forwardTree.serialize(),
+        backwardTree: backwardTree.serialize(),
+        expandedLayers: expandedLayers,
+        proof: proof,
+        expandingDirection: expandingDirection,
+        translations: translations,
+        untranslated: untranslated
+      };
+    });
+  }
 
-  this.toExplore = [];
+  // report retried requests to the progress callback while the solve runs
+  var removeRetryHandler = cancelToken.onRetry(function(retry) {
+    progressCallback(forwardTree, backwardTree, false, retry);
+  });
 
-  this.size = 1;
+  function cleanup() {
+    removeRetryHandler();
+  }
 
-  this.layerSizes = [1];
+  function budgetReport(reason) {
 
-  this.explorePromise = undefined;
+    function treeReport(tree) {
+      return {
+        hostname: tree.api.hostname,
+        size: tree.size,
+        depth: tree.layerSizes.length - 1,
+        layerSizes: tree.layerSizes.slice(),
+        frontier: tree.rankFringe(FRONTIER_REPORT_SIZE)
+      };
+    }
 
-  this.consecutiveUndesirableBatches = 0;
-}
+    return {
+      reason: reason,
+      requests: budget.requests(),
+      time: budget.elapsed(),
+      articles: budget.articleOffset + forwardTree.size + backwardTree.size,
+      forward: treeReport(forwardTree),
+      backward: treeReport(backwardTree)
+    };
 
-ArticleTree.prototype.explore = function()
-{
+  }
 
-  var self = this;
+  // waits out any pause, then makes sure the budget allows another request
+  function whenAllowed() {
 
-  if (self.explorePromise)
-    return self.explorePromise.then(function() {
-      return self.explore();
+    return budget.whenResumed(cancelToken).then(function() {
+      var reason = budget.exhausted(forwardTree.size + backwardTree.size);
+      if (reason) {
+        var error = new Error("The search ran out of its " + reason + " budget");
+        error.budgetExhausted = true;
+        error.report = budgetReport(reason);
+        throw error;
+      }
     });
 
-  if (self.linkFetcher.noDesirableBatches()) {
+  }
 
-    self.diversify();
+  // the tree with the smaller fringe is cheaper to expand
+  function chooseTrees() {
+    if (forwardTree.fringeSize <= backwardTree.fringeSize)
+      return [forwardTree, backwardTree];
+    else
+      return [backwardTree, forwardTree];
+  }
 
-    if (self.linkFetcher.complete())
-      return instantPromise(new Error("Ran into a dead end while exloring article tree"), true);
+  // the title a collision has in the backward tree
+  function partnerOf(collision) {
+    return crossLanguage ? translations[collision] : collision;
+  }
 
+  function collisionDistance(title) {
+    return forwardTree.depthOf(title) + backwardTree.depthOf(partnerOf(title));
   }
 
-  self.explorePromise = self.linkFetcher.fetch();
+  function recordCollisions(newArticles, compareTree) {
+    newArticles.forEach(function(newArticle) {
+      if (compareTree.containsPage(newArticle) && collisions.indexOf(newArticle) == -1)
+        collisions.push(newArticle);
+    });
+  }
 
-  return self.explorePromise.then(function(response) {
+  function recordCrossing(title) {
+    if (collisions.indexOf(title) == -1 && backwardTree.containsPage(translations[title]))
+      collisions.push(title);
+  }
 
-    self.explorePromise = undefined;
+  function addTranslation(title, translation) {
+    translations[title] = translation;
+    [translation, endAPI.resolveRedirect(translation)].forEach(function(key) {
+      if (!(key in translatedFrom))
+        translatedFrom[key] = [];
+      if (translatedFrom[key].indexOf(title) == -1)
+        translatedFrom[key].push(title);
+    });
+    recordCrossing(title);
+  }
 
-    var newTitles = [];
+  // fetches the interlanguage links of forward tree articles, 50 at a time
+  function translatePending() {
 
-    var parentTitles = Object.keys(response);
-    parentTitles.forEach(function(parentTitle) {
+    if (untranslated.length == 0)
+      return instantPromise();
 
-      if (parentTitle in self.fringe) {
-        delete self.fringe[parentTitle];
-        self.fringeSize -= 1;
-      }
+    var titles = untranslated.slice(0, 50);
 
-      var childTitles = response[parentTitle];
-      childTitles = childTitles.filter(function(childTitle) {
-        return !self.containsPage(childTitle);
+    return whenAllowed().then(function() {
+      return startAPI.getLangLinks(titles, endAPI.language, cancelToken);
+    }).then(function(result) {
+      untranslated = untranslated.slice(titles.length);
+      titles.forEach(function(title) {
+        if (title in result)
+          addTranslation(title, result[title]);
       });
+      return translatePending();
+    });
 
-      childTitles.forEach(function(childTitle) {
-
-        var childDepth = self.depthMap[parentTitle] + 1;
-
-        self.treeObj[childTitle] = parentTitle;
-        self.fringe[childTitle] = true;
-        self.depthMap[childTitle] = childDepth;
-        self.toExplore.push(childTitle);
-        newTitles.push(childTitle);
+  }
 
-        while (self.layerSizes.length <= childDepth)
-          self.layerSizes.push(0);
+  // finds the collisions made by articles newly added to one of the trees
+  function recordNewArticles(newArticles, exploreTree, compareTree) {
 
-        self.layerSizes[childDepth] += 1;
+    if (!crossLanguage) {
+      recordCollisions(newArticles, compareTree);
+      return instantPromise();
+    }
 
-      });
+    if (exploreTree === forwardTree) {
+      untranslated = untranslated.concat(newArticles);
+      return translatePending();
+    }
 
+    newArticles.forEach(function(newArticle) {
+      var titles = (translatedFrom[newArticle] || []).concat(
+        translatedFrom[endAPI.resolveRedirect(newArticle)] || []
+      );
+      titles.forEach(recordCrossing);
     });
+    return instantPromise();
 
-    if (newTitles.length < 10) {
-      self.linkFetcher.markLastBatchUndesirable();
-      self.consecutiveUndesirableBatches += 1;
+  }
 
-      if (self.consecutiveUndesirableBatches >= 4) {
-        self.consecutiveUndesirableBatches = 0;
-        self.linkFetcher.markAllBatchesUndesirable();
-      }
-    }
-    else
-      self.consecutiveUndesirableBatches = 0;
+  // steps on each wiki carry its hostname, and the first step on the end wiki
+  // is reached through an interlanguage link rather than a click
+  function joinLanguages(startTitles, endTitles) {
 
-    self.size += newTitles.length;
-    self.fringeSize += newTitles.length;
+    var startSteps = collapseRedirects(startTitles, startAPI);
+    var endSteps = collapseRedirects(endTitles, endAPI);
 
-    return newTitles;
+    startSteps.forEach(function(step) {
+      step.hostname = startAPI.hostname;
+    });
+    endSteps.forEach(function(step) {
+      step.hostname = endAPI.hostname;
+    });
+    endSteps[0].interlanguage = true;
 
-  });
+    return startSteps.concat(endSteps);
 
-};
+  }
 
-ArticleTree.prototype.diversify = function() {
+  // combines the paths from a collision to both roots into full paths
+  function pathsThrough(collision, limit) {
 
-  console.log(this.direction + " injecting " + this.toExplore.length);
-  this.linkFetcher.addArticles(this.toExplore);
-  this.toExplore = [];
+    // the trees may store the collision under different redirect titles
+    var forwardKey = forwardTree.findKey(collision);
+    var backwardKey = backwardTree.findKey(partnerOf(collision));
 
-};
+    var forwardPaths = forwardTree.pathsToRoot(forwardKey, limit);
+    var backwardPaths = backwardTree.pathsToRoot(backwardKey, limit);
 
-ArticleTree.prototype.pathToRoot = function(title) {
+    var paths = [];
+    forwardPaths.forEach(function(forwardPath) {
+      backwardPaths.forEach(function(backwardPath) {
+        var titles = forwardPath.slice().reverse();
+        titles.push(forwardKey);
+        if (crossLanguage) {
+          paths.push(joinLanguages(titles, [backwardKey].concat(backwardPath)));
+          return;
+        }
+        if (backwardKey != forwardKey)
+          titles.push(backwardKey);
+        paths.push(collapseRedirects(titles.concat(backwardPath)));
+      });
+    });
 
-  if (!this.containsPage(title))
-    throw new Error("title is not in the article tree.");
+    return paths;
 
-  var path = [];
-  while (this.treeObj[title] != "_root") {
-    title = this.treeObj[title];
-    path.push(title);
   }
-  return path;
 
-}
+  // gathers distinct paths through the given collisions, shortest first
+  function collectPaths(collisionList, limit) {
 
-ArticleTree.prototype.containsPage = function(title) {
+    var sortedCollisions = collisionList.slice().sort(function(a, b) {
+      return collisionDistance(a) - collisionDistance(b);
+    });
 
-  return title in this.treeObj;
-  
-};
+    var paths = [];
+    var pathKeys = {};
 
-/** @constructor */
-function ArticleSelect(container, title) {
+    sortedCollisions.forEach(function(collision) {
+      if (paths.length >= limit)
+        return;
+      pathsThrough(collision, limit).forEach(function(path) {
+        var titles = pathTitles(path);
+        var key = titles.join("\n");
+        // paths that visit an article twice contain a shorter path
+        var visitsTwice = titles.some(function(title, index) {
+          return titles.indexOf(title) != index;
+        });
+        if (paths.length >= limit || key in pathKeys || visitsTwice)
+          return;
+        pathKeys[key] = true;
+        paths.push(path);
+      });
+    });
 
-  var self = this;
+    return sortByLength(paths);
 
-  container.className = "articleselect";
+  }
 
-  var header = document.createElement("div");
-  header.className = "articleselect-header";
-  
-  var label = document.createElement("label");
-  label.className = "articleselect-label";
-  label.innerText = title;
+  // the same title may belong to different articles on different wikis
+  function pathTitles(path) {
+    return path.map(function(step) {
+      return step.hostname ? step.hostname + ":" + step.title : step.title;
+    });
+  }
 
-  var suggestionsBox = document.createElement("div");
-  suggestionsBox.className = "articleselect-suggestions";
+  // a stable sort so paths through earlier collisions stay first
+  function sortByLength(paths) {
+    return paths.map(function(path, index) {
+      return { path: path, index: index };
+    }).sort(function(a, b) {
+      return (a.path.length - b.path.length) || (a.index - b.index);
+    }).map(function(entry) {
+      return entry.path;
+    });
+  }
 
-  var searchBar = document.createElement("div");
-  searchBar.className = "articleselect-searchbar";
+  // body links of the articles rendered to confirm backward links
+  var bodyLinks = {};
 
-  var inputWrapper = document.createElement("div");
-  inputWrapper.className = "articleselect-inputwrapper";
+  // checks that a step of a path is made through a link in the body text
+  function verifyStep(fromStep, toStep) {
 
-  var input = document.createElement("input");
-  input.className = "articleselect-input";
-  input.placeholder = "Wiki Article Title";
-  input.type = "text";
-  function inputCallback() { self.inputChanged(); }
-  input.oninput = inputCallback;
-  if (input.attachEvent)
-    input.attachEvent("onpropertychange", inputCallback);
-  input.onfocus = function() { self.changeSuggestionVisibility("visible"); };
-  input.onblur = function() { self.changeSuggestionVisibility("hidden"); };
+    // interlanguage links aren't part of the body text
+    if (toStep.interlanguage)
+      return instantPromise(true);
 
-  var randomizeButton = document.createElement("button");
-  randomizeButton.setAttribute("type", "button");
-  randomizeButton.className = "articleselect-randomize button";
-  setIcon(randomizeButton, "dice", "articleselect-icon");
-  randomizeButton.onclick = function() { self.randomize(); };
+    // links followed by the forward tree are body links already
+    var api = getWikiAPI(fromStep.hostname);
+    if (api === startAPI && forwardTree.hasLink(fromStep.title, toStep.title))
+      return instantPromise(true);
 
-  var validityIndicator = document.createElement("button");
-  validityIndicator.setAttribute("type", "button");
-  validityIndicator.className = "articleselect-validity button";
-  setIcon(validityIndicator, "x", "articleselect-icon");
+    function linksToStep(links) {
+      return links.some(function(link) {
+        return link == toStep.linkTitle || api.resolveRedirect(link) == toStep.title;
+      });
+    }
 
-  header.appendChild(label);
-  header.appendChild(suggestionsBox);
-  inputWrapper.appendChild(input);
-  searchBar.appendChild(inputWrapper);
-  searchBar.appendChild(randomizeButton);
-  searchBar.appendChild(validityIndicator);
-  container.appendChild(header);
-  container.appendChild(searchBar);
+    var key = api.hostname + ":" + fromStep.title;
+    if (key in bodyLinks)
+      return instantPromise(linksToStep(bodyLinks[key]));
 
-  self.input = input;
-  self.suggestionsBox = suggestionsBox;
-  self.validityIndicator = validityIndicator;
-  self.searchTimeout = undefined;
-  self.suggestionTimeout = undefined;
-  self.validatedTitle = undefined;
-  self.waitingForRandom = false;
+    return whenAllowed().then(function() {
+      return api.getBodyLinks(fromStep.title, options.includeInfoboxes, cancelToken);
+    }).then(function(response) {
+      bodyLinks[key] = response.linkMap[fromStep.title] || [];
+      return linksToStep(bodyLinks[key]);
+    });
 
-}
+  }
 
-ArticleSelect.prototype.inputChanged = function () {
+  function verifyPath(path, index) {
 
-  var self = this;
-  var inputString = self.input.value.trim();
+    index = index || 0;
+    if (index >= path.length - 1)
+      return instantPromise(true);
 
-  clearTimeout(self.searchTimeout);
+    return verifyStep(path[index], path[index + 1]).then(function(verified) {
+      return verified ? verifyPath(path, index + 1) : false;
+    });
 
-  if (!inputString) {
-    self.suggestionsBox.innerHTML = "";
-    setIcon(self.validityIndicator, "x", "articleselect-icon");
-    self.validatedTitle = undefined;
-    return;
   }
 
-  function handleSearchResults(results) {
+  // collisions are only ever added, so in body-only mode the candidate paths
+  // through each are enumerated once and verified until enough are found
+  var enumeratedCollisions = {};
+  var candidateKeys = {};
+  var candidates = [];
+  var verifiedPaths = [];
 
-    if (inputString != self.input.value.trim())
-      return;
+  // resolves to distinct paths through the given collisions, shortest first
+  function findPaths(collisionList, limit) {
 
-    if (results.length >= 1 && inputString.toLowerCase() == results[0].toLowerCase()) {
-      setIcon(self.validityIndicator, "check", "articleselect-icon");
-      self.validatedTitle = results[0];
-    }
-    else
-      setIcon(self.validityIndicator, "x", "articleselect-icon");
+    if (!bodyOnly)
+      return instantPromise(collectPaths(collisionList, limit));
 
-    self.suggestionsBox.innerHTML = "";
-    
-    results.forEach(function(title) {
-      if (title == inputString)
-        return;
-      self.addSuggestion(title);
+    var newCollisions = collisionList.filter(function(collision) {
+      return !(collision in enumeratedCollisions);
+    });
+    newCollisions.forEach(function(collision) {
+      enumeratedCollisions[collision] = true;
     });
 
-  }
+    collectPaths(newCollisions, MAX_ENUMERATED_PATHS).forEach(function(path) {
+      var key = pathTitles(path).join("\n");
+      if (key in candidateKeys)
+        return;
+      candidateKeys[key] = true;
+      candidates.push(path);
+    });
+    candidates = sortByLength(candidates);
+
+    function verifyNext() {
+      if (candidates.length == 0 || verifiedPaths.length >= limit)
+        return sortByLength(verifiedPaths).slice(0, limit);
+      var candidate = candidates.shift();
+      return verifyPath(candidate).then(function(verified) {
+        if (verified)
+          verifiedPaths.push(candidate);
+        return verifyNext();
+      }, function(error) {
+        // a failed check is made again if the search goes on
+        candidates.unshift(candidate);
+        throw error;
+      });
+    }
 
-  setIcon(self.validityIndicator, "sync", "articleselect-icon spin");
-  self.validatedTitle = undefined;
+    return instantPromise().then(verifyNext);
 
-  self.searchTimeout = setTimeout(function() {
-    mediaWikiAPI.search(inputString, 10).then(
-      handleSearchResults,
-      function (error) {
-        setIcon(self.validityIndicator, "x", "articleselect-icon");
-        alert(error);
-      }
-    );
-  }, 2*STANDARD_DELAY);
+  }
 
-};
+  // explores the trees until enough paths are found
+  function algorithm() {
 
-ArticleSelect.prototype.addSuggestion = function(title) {
+    progressCallback(forwardTree, backwardTree, false);
 
-  var self = this;
+    var trees = chooseTrees();
+    var exploreTree = trees[0];
+    var compareTree = trees[1];
 
-  function clickHandler() {
-    self.input.value = title;
-    self.validatedTitle = title;
-    setIcon(self.validityIndicator, "check", "articleselect-icon");
-    self.changeSuggestionVisibility("hidden");
-  }
+    // wait out any pause before making the next request
+    return whenAllowed().then(function() {
+      return exploreTree.explore(cancelToken);
+    }).then(function(newArticles) {
 
-  var suggestionButton = document.createElement("button");
-  suggestionButton.className = "button";
-  suggestionButton.setAttribute("type", "button");
-  suggestionButton.innerText = title;
-  suggestionButton.onclick = clickHandler;
+      return recordNewArticles(newArticles, exploreTree, compareTree);
 
-  this.suggestionsBox.appendChild(suggestionButton);
+    }).then(function() {
 
-};
+      if (collisions.length == 0)
+        return algorithm();
 
-ArticleSelect.prototype.changeSuggestionVisibility = function(state) {
+      return findPaths(collisions, pathCount).then(function(paths) {
+        return paths.length >= pathCount ? paths : algorithm();
+      });
 
-  var self = this;
+    });
 
-  clearTimeout(self.suggestionTimeout);
+  }
 
-  self.suggestionTimeout = setTimeout(function() {
-    self.suggestionsBox.style.visibility = state;
-  }, STANDARD_DELAY);
+  // expands the current layer of a tree, gathering every collision in it
+  function expandLayer(exploreTree, compareTree) {
 
-};
+    progressCallback(forwardTree, backwardTree, false);
 
-ArticleSelect.prototype.randomize = function() {
+    return whenAllowed().then(function() {
+      return exploreTree.explore(cancelToken);
+    }).then(function(newArticles) {
 
-  var self = this;
+      return recordNewArticles(newArticles, exploreTree, compareTree);
 
-  if (self.waitingForRandom)
-    return;
+    }).then(function() {
 
-  self.waitingForRandom = true;
+      if (!exploreTree.linkFetcher.complete())
+        return expandLayer(exploreTree, compareTree);
 
-  randomArticleFetcher.getArticle().then(function(title) {
-    self.waitingForRandom = false;
-    self.validatedTitle = title;
-    self.input.value = title;
-    setIcon(self.validityIndicator, "check", "articleselect-icon");
-  });
+      expandedLayers[exploreTree.direction] += 1;
+      expandingDirection = undefined;
 
-};
+    });
 
+  }
 
+  // explores the trees layer by layer until enough paths are found
+  // a path crosses between the wikis of a cross-language solve just once, at
+  // an article that may lie deeper than either tree has been expanded, so a
+  // path is only known to be shortest once every crossing of a shorter path
+  // would have been within both trees
+  function crossingsSettled(length) {
+    var depth = Math.min(expandedLayers.forward, expandedLayers.backward);
+    return length <= depth + (options.allShortest ? 0 : 1);
+  }
 
-/* =======================
-    APPLICATION FUNCTIONS
-   ======================= */
+  function exactAlgorithm() {
 
-function autoWikipediaHostname() {
+    var trees = chooseTrees();
 
-  var hostname = query.mw;
+    // crossings are settled by expanding the shallower tree
+    if (crossLanguage && collisions.length > 0 && !proof &&
+        expandedLayers[trees[0].direction] > expandedLayers[trees[1].direction])
+      trees.reverse();
 
-  function useDefault() {
-    if (window.navigator.language) {
-      var navLanguage = window.navigator.language.split('-')[0].toLowerCase();
-      if (navLanguage in WIKIPEDIA_LANGUAGES)
-        return navLanguage + ".wikipedia.org";
-    }
-    return "en.wikipedia.org"; // fall back to english wikipedia
-  }
+    // a resumed search first finishes the layer it was expanding
+    if (expandingDirection && trees[0].direction != expandingDirection)
+      trees.reverse();
+    expandingDirection = trees[0].direction;
 
-  if (!hostname)
-    return useDefault();
-  else if (VALID_HOSTNAME_REGEX.test(hostname))
-    return hostname;
-  else {
-    alert("Specified mediawiki hostname is invalid! Reverting to default.")
-    return useDefault();
-  }
+    return expandLayer(trees[0], trees[1]).then(function() {
 
-}
+      if (collisions.length == 0)
+        return exactAlgorithm();
 
-function setupAPI() {
-  
-  var mediaWikiHostname = autoWikipediaHostname();
-  if (query.mw && mediaWikiHostname != query.mw)
-    history.replaceState({}, "", "?mw=" + mediaWikiHostname);
-  if (!mediaWikiAPI || mediaWikiAPI.hostname != mediaWikiHostname) {
-    mediaWikiAPI = new MediaWikiAPI(mediaWikiHostname);
-    randomArticleFetcher = new RandomArticleFetcher();
-  }
-  
-  // create elements to inform user
-  var apiInfo = document.createElement("p");
-  var apiStatus = document.createElement("span");
-  apiStatus.innerText = "Contacting " + mediaWikiAPI.hostname + " ...";
-  apiInfo.className = "text-center text-muted";
-  var apiChangeLink = createJSLink("change wiki", function() {
-    history.pushState({}, "", "#wikiselect");
-    resetPage();
-  });
+      // every article within these depths is known to both trees, so any
+      // shorter path would have produced a closer collision
+      if (!proof) {
+        var shortestLength = Math.min.apply(Math, collisions.map(collisionDistance));
+        if (crossLanguage && !crossingsSettled(shortestLength))
+          return exactAlgorithm();
+        proof = {
+          length: shortestLength,
+          forwardDepth: expandedLayers.forward,
+          backwardDepth: expandedLayers.backward
+        };
+      }
 
-  function onValidate() {
-    apiStatus.innerText = mediaWikiAPI.server + " - " + mediaWikiAPI.hostname;
-  }
+      if (options.allShortest) {
+        return findPaths(collisions.filter(function(collision) {
+          return collisionDistance(collision) == proof.length;
+        }), MAX_ENUMERATED_PATHS);
+      }
+
+      return findPaths(collisions, pathCount).then(function(paths) {
+        return paths.length >= pathCount ? paths : exactAlgorithm();
+      });
+
+    });
 
-  function onError(error) {
-    apiInfo.className = "text-center text-error";
-    apiStatus.innerHTML = error.message + " ";
-    var tryAgainLink = createJSLink("try again", resetPage);
-    apiInfo.appendChild(document.createElement('br'));
-    apiInfo.appendChild(tryAgainLink);
   }
-  
-  // add all elements to page
-  apiInfo.appendChild(apiStatus);
-  apiInfo.appendChild(document.createElement('br'));
-  apiInfo.appendChild(apiChangeLink);
-  content.appendChild(apiInfo);
 
-  var validationPromise = mediaWikiAPI.validate();
-  validationPromise.then(onValidate, onError);
-  return validationPromise;
-  
-}
+  // interlanguage links are looked up by the language of the end wiki, and
+  // the articles of a resumed search may not all have been looked up yet
+  var ready = crossLanguage ? endAPI.validate().then(translatePending) : instantPromise();
+  var search = ready.then(exact ? exactAlgorithm : algorithm);
 
-function setupLanguageSelect() {
+  // the report of the budget, if it ran out before enough paths were found
+  var budgetExhausted = undefined;
 
-  // create paragraph to contain the links
-  var paragraph = document.createElement("p");
-  paragraph.className = "text-center";
+  return search.then(undefined, function(error) {
 
-  // for each wikipedia lanuage create a link for it
-  Object.keys(WIKIPEDIA_LANGUAGES).forEach(function(key) {
+    // running out of articles or budget only fails the solve if nothing was found
+    if (!(error.deadEnd || error.budgetExhausted) || collisions.length == 0)
+      throw error;
 
-    // get info for language
-    var mediaWikiDomain = key + ".wikipedia.org";
-    var language = WIKIPEDIA_LANGUAGES[key];
+    budgetExhausted = error.report;
 
-    // create the link
-    var link = createJSLink(language[0], function() {
-      history.pushState({}, "", "?mw=" + mediaWikiDomain);
-      resetPage();
+    // paths through the backward tree can't be confirmed without requests
+    var limit = options.allShortest && exact ? MAX_ENUMERATED_PATHS : pathCount;
+    var pathsFound = budgetExhausted && bodyOnly ?
+      instantPromise(collectPaths(collisions, limit).filter(function(path) {
+        return path.every(function(step, index) {
+          return index == 0 || forwardTree.hasLink(path[index - 1].title, step.title);
+        });
+      })) :
+      findPaths(collisions, limit);
+
+    return pathsFound.then(function(paths) {
+      if (paths.length == 0)
+        throw error;
+      return paths;
     });
-    link.className = "inline-block";
-    link.title = language[1];
 
-    // add the link to the pargraph along with a space after it
-    paragraph.appendChild(link);
-    paragraph.appendChild(document.createTextNode(" "));
-  });
+  }).then(function(paths) {
 
-  content.appendChild(paragraph);
+    progressCallback(forwardTree, backwardTree, true);
 
-}
+    budget.articleOffset += forwardTree.size + backwardTree.size;
 
-function setupForm() {
+    cleanup();
+    return {
+      path: paths[0],
+      paths: paths,
+      shortest: !!proof,
+      proof: proof,
+      budgetExhausted: budgetExhausted
+    };
 
-  var form  = document.createElement("form");
+  }, function(error) {
 
-  var ArticleSelectDiv1 = document.createElement("div");
-  var ArticleSelectDiv2 = document.createElement("div");
-  var startArticleSelect = new ArticleSelect(ArticleSelectDiv1, "Start Article");
-  var endArticleSelect = new ArticleSelect(ArticleSelectDiv2, "End Article");
+    cleanup();
+    throw error;
 
-  var submitButton = document.createElement("input");
-  submitButton.className = "form-button";
-  submitButton.type = "submit";
-  submitButton.value = "Go";
+  });
 
-  form.appendChild(ArticleSelectDiv1);
-  form.appendChild(ArticleSelectDiv2);
-  form.appendChild(submitButton);
+}
 
-  var howItWorksParagraph = document.createElement("p");
-  howItWorksParagraph.className = "text-center";
-  var howItWorksLink = document.createElement("a");
-  howItWorksLink.target = "_blank";
-  howItWorksLink.innerHTML = "how it works";
-  howItWorksLink.href = "https://github.com/luctowers/wikimash/blob/master/readme.md#how-it-works";
-  howItWorksParagraph.appendChild(howItWorksLink);
+/**
+ * Finds a path that visits a list of articles in order, by solving the
+ * segment between each pair of consecutive articles and joining the results.
+ * Articles already visited by earlier segments, and the articles still to
+ * come, are forbidden in each segment so the joined path never repeats one.
+ * @param {string[]} titles - The start article, any waypoints and the end
+ *   article, in the order they must be visited.
+ * @param {function} progressCallback - Called like the callback given to
+ *   'wikigameSolve', with an extra argument holding the 'index' of the
+ *   segment being solved and the 'count' of segments.
+ * @param {CancelToken} [cancelToken] - Optional token to stop the search.
+ * @param {Object} [options] - The options given to 'wikigameSolve'. Alternative
+ *   paths are only collected when there is a single segment. The function
+ *   given to 'snapshotCallback' also captures the segments solved so far,
+ *   and so does the state given as 'resume'. The 'budget' is shared by all
+ *   of the segments, and the report of an exhausted budget also holds the
+ *   'segment' that was being solved.
+ * @returns {Promise<Object>} A promise that resolves to a result like the one
+ *   from 'wikigameSolve', with the result of every segment in 'segments'.
+ */
+function wikigameSolveSegments(titles, progressCallback, cancelToken, options) {
 
-  var codeLinkParagraph = document.createElement("p");
-  codeLinkParagraph.className = "text-center";
-  var codeLink = document.createElement("a");
-  codeLink.target = "_blank";
-  codeLink.innerHTML = "code on github";
-  codeLink.href = "https://github.com/luctowers/wikimash";
-  codeLinkParagraph.appendChild(codeLink);
+  options = options || {};
 
-  content.appendChild(form);
-  content.appendChild(howItWorksParagraph);
-  content.appendChild(codeLinkParagraph);
+  var segmentCount = titles.length - 1;
+  var segmentResults = [];
+  var path = [];
+  var firstSegment = 0;
 
-  form.onsubmit = function() {
+  // every segment draws from the same budget
+  var budget = options.budget instanceof SolveBudget ? options.budget : new SolveBudget(options.budget);
 
-    var checkMarkInfo = "An article has been validated when there is check mark displayed beside it."
+  if (options.resume) {
+    segmentResults = options.resume.segmentResults;
+    path = options.resume.path;
+    firstSegment = options.resume.segmentIndex;
+  }
 
-    if (!startArticleSelect.validatedTitle && !endArticleSelect.validatedTitle)
-      alert("Both the start article and the end article have not been validated! " + checkMarkInfo);
-    else if (startArticleSelect.validatedTitle == endArticleSelect.validatedTitle)
-      alert("The start article and the end article must be different!");
-    else if (!startArticleSelect.validatedTitle)
-      alert("The start article has not been validated! " + checkMarkInfo);
-    else if (!endArticleSelect.validatedTitle)
-      alert("The end article has not been validated! " +  checkMarkInfo);
-    else
-      setupSolve(startArticleSelect.validatedTitle, endArticleSelect.validatedTitle);
+  function segmentOptions(index) {
 
-    return false;
+    var visited = path.slice(0, -1).map(function(step) {
+      return step.title;
+    });
+    var upcoming = titles.slice(index + 2);
+
+    var result = {};
+    Object.keys(options).forEach(function(key) {
+      result[key] = options[key];
+    });
+    result.forbidden = (options.forbidden || []).concat(visited, upcoming);
+    result.budget = budget;
+    // only the last segment crosses over to the wiki of the end article
+    if (index < segmentCount - 1)
+      result.endHostname = undefined;
+    if (segmentCount > 1) {
+      result.pathCount = 1;
+      result.allShortest = false;
+    }
+
+    result.resume = options.resume && index == firstSegment ? options.resume.search : undefined;
+    result.snapshotCallback = function(captureSearch) {
+      if (!options.snapshotCallback)
+        return;
+      options.snapshotCallback(function() {
+        return {
+          segmentIndex: index,
+          segmentResults: segmentResults,
+          path: path,
+          search: captureSearch()
+        };
+      });
+    };
+
+    return result;
 
   }
 
-}
+  function solveSegment(index) {
 
-function visualizeLayers(A, B, container, connect)
-{
-  container.innerHTML = "";
+    if (index == segmentCount)
+      return undefined;
 
-  var maxValue = maxInArray(A.concat(B));
-  var totalLength = A.length + B.length;
-  if (!connect)
-    totalLength += 1;
-  var rectWidth = 1 / totalLength;
+    var segment = { index: index, count: segmentCount };
+    function segmentCallback(forwardTree, backwardTree, solved, retry) {
+      progressCallback(forwardTree, backwardTree, solved, retry, segment);
+    }
 
-  function chartValue(index, value) {
-    var magnitude;
-    if (value == 0)
-      magnitude = 0;
-    else
-      magnitude = (Math.log(value) + 1.0) / (Math.log(maxValue) + 1.0);
+    return wikigameSolve(
+      titles[index], titles[index + 1], segmentCallback, cancelToken, segmentOptions(index)
+    ).then(function(result) {
 
-    var rect = document.createElement("div");
-    rect.style.position = "absolute";
-    rect.style.left = index * rectWidth * 100 + '%';
-    rect.style.top = (1 - magnitude) / 2 * 100 + '%';
-    rect.style.width = rectWidth * 100 + 0.1 + '%';
-    rect.style.height = magnitude * 100 + '%';
-    rect.style.backgroundColor = "black";
+      segmentResults.push(result);
+
+      // consecutive segments share the waypoint between them
+      path = path.length == 0 ? result.path : path.concat(result.path.slice(1));
+
+      return solveSegment(index + 1);
+
+    }, function(error) {
+
+      if (error.budgetExhausted)
+        error.report.segment = segment;
+      throw error;
+
+    });
 
-    container.appendChild(rect);
   }
 
-  for (var i = 0; i < A.length; i++)
-    chartValue(i, A[i]);
+  return solveSegment(firstSegment).then(function() {
+
+    if (segmentCount == 1) {
+      segmentResults[0].segments = segmentResults;
+      return segmentResults[0];
+    }
+
+    return {
+      path: path,
+      paths: [path],
+      shortest: segmentResults.every(function(result) {
+        return result.shortest;
+      }),
+      proof: undefined,
+      segments: segmentResults
+    };
+
+  });
 
-  for (var i = 0; i < B.length; i++)
-    chartValue(totalLength-i-1, B[i])
 }
 
-function setupSolve(start, end) {
+/**
+ * Draws pairs of articles for a benchmark from the random articles of the
+ * current wiki. The seed only decides how the articles drawn are paired, so
+ * the pairs are only the same when the wiki returns the same random articles,
+ * as a mock wiki with a fixed seed or a replayed recording does.
+ * @param {number} pairCount - The number of pairs to draw.
+ * @param {number} seed - The seed that pairs the articles.
+ * @returns {Promise<Object[]>} A promise that resolves to the 'start' and
+ *   'end' title of each pair.
+ */
+function drawBenchmarkPairs(pairCount, seed) {
 
-  history.pushState({}, "", "#solving");
+  // a fresh fetcher draws the same articles no matter what was drawn before
+  return new RandomArticleFetcher(mediaWikiAPI).getArticles(pairCount * 2).then(function(articles) {
 
-  content.innerHTML = "";
+    var pool = articles.filter(function(title, index) {
+      return articles.indexOf(title) == index;
+    });
+    if (pool.length < pairCount * 2)
+      throw new Error("The wiki returned too few random articles for " + pairCount + " pairs.");
 
-  var visualizerDiv = document.createElement("div");
-  visualizerDiv.className = "visualizer";
+    shuffleArray(pool.sort(), seededRandom(seed));
 
-  var articleCountParagraph = document.createElement("p");
-  articleCountParagraph.className = "text-center";
+    var pairs = [];
+    for (var i = 0; i < pairCount; i++)
+      pairs.push({ start: pool[2 * i], end: pool[2 * i + 1] });
+    return pairs;
 
-  content.appendChild(visualizerDiv);
-  content.appendChild(articleCountParagraph);
+  });
 
-  function onCallback(forwardTree, backwardTree, solved) {
+}
 
-    visualizeLayers(forwardTree.layerSizes, backwardTree.layerSizes, visualizerDiv, solved);
-    articleCountParagraph.innerText = forwardTree.size + backwardTree.size + " articles considered";
+/**
+ * Solves random pairs of articles under each of several parameter sets, to
+ * measure how changes to the search affect the number of requests it makes.
+ * The link cache is bypassed so every run pays for its own requests.
+ * @param {Object} settings - The 'pairCount' and 'seed' given to
+ *   'drawBenchmarkPairs', or else the 'pairs' to solve again, the
+ *   'parameterSets' to compare and the 'budget' limits of each run. Each
+ *   parameter set has a 'name', and its other properties are options given
+ *   to 'wikigameSolve', such as 'exact' or 'tuning'.
+ * @param {function} progressCallback - Called with the pairs once they are
+ *   known, and again with each run as it finishes.
+ * @param {CancelToken} [cancelToken] - Optional token to stop the benchmark.
+ * @returns {Promise<Object[]>} A promise that resolves to the runs. Each run
+ *   holds its 'pair' index, 'start', 'end', parameter 'set' name, 'status',
+ *   'clicks', 'requests', 'articles' considered and 'time' in milliseconds.
+ */
+function runBenchmark(settings, progressCallback, cancelToken) {
 
-  }
-  
-  function onSolve(path) {
+  cancelToken = cancelToken || new CancelToken();
 
-    history.replaceState({}, "", "#solved");
-    
-    path.forEach(function(article, index) {
-      var link = document.createElement("a");
-      link.className = "link-button";
-      link.href = mediaWikiAPI.buildArticleURL(article);
-      link.innerText = article;
-      link.target = "_blank";
-      content.appendChild(link);
+  var cacheEnabled = linkCache.settings.enabled;
+  linkCache.settings.enabled = false;
 
-      if (index == path.length-1)
-        return;
+  var runs = [];
+  var pairs;
 
-      var iconContainer = document.createElement("div");
-      iconContainer.className = "text-center";
-      setIcon(iconContainer, "arrow");
-      content.appendChild(iconContainer);
-    });
+  function runOne(pairIndex, setIndex) {
 
-    var copyPathParagraph = document.createElement("p");
-    copyPathParagraph.className = "text-center";
-    var pathText = path.join(" \u21D2 ");
-    var textChangeTimeout;
-    var copyPathLink = createJSLink("copy path as text", function() {
+    if (setIndex == settings.parameterSets.length)
+      return runOne(pairIndex + 1, 0);
+    if (pairIndex == pairs.length)
+      return runs;
 
-      if (copyStringToClipboard(pathText))
-        copyPathLink.innerText = "copied to clipboard!";
-      else
-        copyPathLink.innerText = "failed to copy!";
-      clearTimeout(textChangeTimeout);
-      textChangeTimeout = setTimeout(function() {
-        copyPathLink.innerText = "copy path as text";
-      }, 4*STANDARD_DELAY);
+    var pair = pairs[pairIndex];
+    var parameterSet = settings.parameterSets[setIndex];
 
+    var solveOptions = {};
+    Object.keys(parameterSet).forEach(function(key) {
+      if (key != "name")
+        solveOptions[key] = parameterSet[key];
     });
-    copyPathParagraph.appendChild(copyPathLink);
+    solveOptions.budget = settings.budget;
 
-    var tryAgainParagraph = document.createElement("p");
-    tryAgainParagraph.className = "text-center";
-    var tryAgainLink = createJSLink("try again", resetPage);
-    tryAgainParagraph.appendChild(tryAgainLink);
+    var run = { pair: pairIndex, start: pair.start, end: pair.end, set: parameterSet.name };
+    var startRequests = totalRequestCount();
+    var startTime = new Date().getTime();
+    var articles = 0;
 
-    content.appendChild(copyPathParagraph);
-    content.appendChild(tryAgainParagraph);
+    function onProgress(forwardTree, backwardTree) {
+      articles = forwardTree.size + backwardTree.size;
+    }
+
+    return wikigameSolve(pair.start, pair.end, onProgress, cancelToken, solveOptions).then(function(result) {
+      run.status = "solved";
+      run.clicks = result.path.length - 1;
+      run.shortest = result.shortest;
+    }, function(error) {
+      if (error.cancelled)
+        throw error;
+      else if (error.budgetExhausted)
+        run.status = "gave up";
+      else if (error.deadEnd)
+        run.status = "no path";
+      else {
+        run.status = "error";
+        run.error = error.message;
+      }
+    }).then(function() {
+      run.requests = totalRequestCount() - startRequests;
+      run.articles = articles;
+      run.time = new Date().getTime() - startTime;
+      runs.push(run);
+      progressCallback(pairs, run);
+      return runOne(pairIndex, setIndex + 1);
+    });
 
   }
 
-  function onError(error) {
+  function restoreCache() {
+    linkCache.settings.enabled = cacheEnabled;
+  }
 
-    console.log(error);
+  var pairPromise = settings.pairs ? instantPromise(settings.pairs) : drawBenchmarkPairs(settings.pairCount, settings.seed);
 
-    var tryAgainParagraph = document.createElement("p");
-    tryAgainParagraph.className = "text-center text-error";
-    tryAgainParagraph.innerHTML = "No path was found!<br>";
-    var tryAgainLink = createJSLink("try again", resetPage);
-    tryAgainParagraph.appendChild(tryAgainLink);
-    content.appendChild(tryAgainParagraph);
+  return pairPromise.then(function(benchmarkPairs) {
+    pairs = benchmarkPairs;
+    progressCallback(pairs);
+    return runOne(0, 0);
+  }).then(function(result) {
+    restoreCache();
+    return result;
+  }, function(error) {
+    restoreCache();
+    throw error;
+  });
 
+}
+
+/**
+ * Summarizes the runs of a benchmark for each parameter set.
+ * @param {Object[]} runs - The runs from 'runBenchmark'.
+ * @param {Object[]} parameterSets - The parameter sets that were compared.
+ * @returns {Object[]} For each set, its 'name', the number of 'runs', of
+ *   those 'solved' and of 'failures', the 'meanRequests', 'medianRequests',
+ *   'meanArticles' and 'meanTime' of all its runs and the 'meanClicks' of
+ *   its solved runs.
+ */
+function summarizeBenchmark(runs, parameterSets) {
+
+  function mean(values) {
+    if (values.length == 0)
+      return undefined;
+    return values.reduce(function(sum, value) {
+      return sum + value;
+    }, 0) / values.length;
   }
 
-  wikigameSolve(start, end, onCallback).then(onSolve, onError);
+  function values(setRuns, property) {
+    return setRuns.map(function(run) {
+      return run[property];
+    });
+  }
 
-}
+  return parameterSets.map(function(parameterSet) {
 
-function wikigameSolve(start, end, progressCallback) {
+    var setRuns = runs.filter(function(run) {
+      return run.set == parameterSet.name;
+    });
+    var solvedRuns = setRuns.filter(function(run) {
+      return run.status == "solved";
+    });
 
-  var forwardTree = new ArticleTree(start, "forward");
-  var backwardTree = new ArticleTree(end, "backward");
+    return {
+      name: parameterSet.name,
+      runs: setRuns.length,
+      solved: solvedRuns.length,
+      failures: setRuns.length - solvedRuns.length,
+      meanRequests: mean(values(setRuns, "requests")),
+      medianRequests: medianOfArray(values(setRuns, "requests")),
+      meanArticles: mean(values(setRuns, "articles")),
+      meanClicks: mean(values(solvedRuns, "clicks")),
+      meanTime: mean(values(setRuns, "time"))
+    };
 
-  function algorithm() {
+  });
 
-    progressCallback(forwardTree, backwardTree, false);
+}
 
-    var exploreTree;
-    var compareTree;
-    if (forwardTree.fringeSize <= backwardTree.fringeSize) {
-      exploreTree = forwardTree;
-      compareTree = backwardTree;
-    }
-    else {
-      exploreTree = backwardTree;
-      compareTree = forwardTree;
-    }
+/**
+ * Checks a hop of a path against the current version of the wiki.
+ * @param {Object} fromStep - The step the hop starts at.
+ * @param {Object} toStep - The step the hop leads to.
+ * @param {CancelToken} [cancelToken] - Optional token to stop the check.
+ * @returns {Promise<Object>} A promise that resolves to the outcome. Its
+ *   'status' is "valid" when the first article links to the second,
+ *   "redirected" when it links to a redirect to the second, whose title is
+ *   then in 'linkTitle', and "broken" otherwise, with the 'reason' why.
+ *   A hop to a step marked as 'interlanguage' is checked against the
+ *   interlanguage links of the first article instead.
+ */
+function verifyHop(fromStep, toStep, cancelToken) {
 
-    return exploreTree.explore().then(function(newArticles) {
+  var api = getWikiAPI(fromStep.hostname);
 
-      console.log(exploreTree.direction + " fringe size = " + exploreTree.fringeSize);
+  function redirectedTo(linkTitle) {
+    return { status: "redirected", linkTitle: linkTitle };
+  }
 
-      var collision = undefined;
-      var bestCollisionDistance = Number.MAX_VALUE;
-      newArticles.forEach(function(newArticle) {
-        if (compareTree.containsPage(newArticle)) {
-          var collisionDistance = forwardTree.pathToRoot(newArticle).length + backwardTree.pathToRoot(newArticle).length;
-          if (collisionDistance < bestCollisionDistance)
-            collision = newArticle;
-        }
-      });
+  if (toStep.interlanguage) {
+    var toAPI = getWikiAPI(toStep.hostname);
+    return toAPI.validate().then(function() {
+      return api.getLangLinks([fromStep.title], toAPI.language, cancelToken);
+    }).then(function(translations) {
+      var translation = translations[fromStep.title];
+      if (translation === undefined)
+        return { status: "broken", reason: fromStep.title + " no longer has an interlanguage link to " + toAPI.hostname };
+      if (translation == toStep.title)
+        return { status: "valid" };
+      if (translation == toStep.linkTitle || toAPI.resolveRedirect(translation) == toStep.title)
+        return redirectedTo(translation);
+      return { status: "broken", reason: fromStep.title + " now has an interlanguage link to " + translation };
+    });
+  }
 
-      if (collision)
-        return collision;
-      else
-        return algorithm();
+  // looks for links to any of the redirects, up to 50 at a time
+  function findRedirectLink(redirects) {
 
+    if (redirects.length == 0)
+      return { status: "broken", reason: fromStep.title + " no longer links to " + toStep.title };
+
+    return api.getLinksTo(fromStep.title, redirects.slice(0, 50), cancelToken).then(function(result) {
+      if (result.links.length > 0)
+        return redirectedTo(result.links[0]);
+      return findRedirectLink(redirects.slice(50));
     });
 
   }
 
-  return algorithm().then(function(collision) {
+  return api.getLinksTo(fromStep.title, [toStep.title], cancelToken).then(function(result) {
 
-    progressCallback(forwardTree, backwardTree, true);
+    if (result.missing)
+      return { status: "broken", reason: fromStep.title + " no longer exists" };
+
+    if (result.links.indexOf(toStep.title) != -1)
+      return { status: "valid" };
+
+    // the link may go through a redirect that was changed or never recorded
+    return api.getRedirectsTo(toStep.title, cancelToken).then(findRedirectLink);
+
+  });
+
+}
+
+/**
+ * Converts a list of titles, some of which may be redirects, into the steps of
+ * a path. Consecutive titles of the same page are merged into a single step.
+ * @param {string[]} titles - The titles from start to end.
+ * @param {MediaWikiAPI} [api] - The API of the wiki the titles belong to,
+ *   which defaults to 'mediaWikiAPI'.
+ * @returns {Object[]} The steps of the path. Each has a 'title' property with
+ *   the canonical title and a 'linkTitle' property with the title of the
+ *   redirect that was followed to reach it, if any.
+ */
+function collapseRedirects(titles, api) {
+
+  api = api || mediaWikiAPI;
+
+  var steps = [];
+
+  titles.forEach(function(title) {
 
-    var path = [collision];
-    path = forwardTree.pathToRoot(collision).reverse().concat(path);
-    path = path.concat(backwardTree.pathToRoot(collision));
-    return path;
+    var canonical = api.resolveRedirect(title);
+    var previous = steps[steps.length - 1];
+
+    if (previous && previous.title == canonical) {
+      if (canonical != title)
+        previous.linkTitle = title;
+      return;
+    }
+
+    steps.push({
+      title: canonical,
+      linkTitle: canonical != title ? title : undefined
+    });
 
   });
 
+  return steps;
+
 }
 
 function resetPage() {
 
   query = parseQueryString(window.location.search);
 
+  // stop any solve that is still running in the background
+  if (activeCancelToken) {
+    activeCancelToken.cancel();
+    activeCancelToken = undefined;
+  }
+
   // clear old content
   content.innerHTML = "";
 
@@ -1568,6 +9086,22 @@ function resetPage() {
     setupLanguageSelect();
     return;
   }
+  else if (window.location.hash == "#linkcache") {
+    setupLinkCacheView();
+    return;
+  }
+  else if (window.location.hash == "#transport") {
+    setupTransportView();
+    return;
+  }
+  else if (window.location.hash == "#batch") {
+    setupAPI().then(setupBatchView);
+    return;
+  }
+  else if (window.location.hash == "#benchmark") {
+    setupAPI().then(setupBenchmarkView);
+    return;
+  }
   else
     history.replaceState({}, "", "#");
 
@@ -1580,7 +9114,10 @@ function resetPage() {
     START APPLICATION
    =================== */
 
-window.onpopstate = function() { window.location.reload(); };
+// the page is rebuilt from the address, so going back and forth needs no reload
+window.onpopstate = function() { resetPage(); };
+linkCache = new LinkCache("wikimash");
+transport = new LiveTransport();
 resetPage();
 
 